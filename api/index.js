@@ -93,6 +93,33 @@ function registerRoutes() {
   fastify.get("/names/valid", createNetworkHandler(handlers.getValidNames));
   fastify.get("/names/expired", createNetworkHandler(handlers.getExpiredNames));
   fastify.get("/names/revoked", createNetworkHandler(handlers.getRevokedNames));
+  fastify.get(
+    "/names/expiring-soon",
+    createNetworkHandler(handlers.getExpiringNames)
+  );
+  fastify.get(
+    "/names/grace-period",
+    createNetworkHandler(handlers.getGracePeriodNames)
+  );
+  fastify.get("/names/recent", createNetworkHandler(handlers.getRecentNames));
+  fastify.get(
+    "/names/imported",
+    createNetworkHandler(handlers.getImportedNames)
+  );
+  fastify.get(
+    "/names/address/:address",
+    createNetworkHandler(handlers.getNamesByAddress)
+  );
+  fastify.get("/names/search", createNetworkHandler(handlers.searchNames));
+  fastify.post("/names/batch", createNetworkHandler(handlers.getNamesBatch));
+  fastify.post(
+    "/names/addresses",
+    createNetworkHandler(handlers.getNamesByAddresses)
+  );
+  fastify.post(
+    "/names/availability",
+    createNetworkHandler(handlers.getNameAvailability)
+  );
   fastify.get(
     "/names/address/:address/valid",
     createNetworkHandler(handlers.getValidNamesByAddress)
@@ -105,10 +132,22 @@ function registerRoutes() {
     "/names/address/:address/expiring-soon",
     createNetworkHandler(handlers.getExpiringNamesByAddress)
   );
+  fastify.get(
+    "/names/address/:address/grace-period",
+    createNetworkHandler(handlers.getGracePeriodNamesByAddress)
+  );
   fastify.get(
     "/names/address/:address/revoked",
     createNetworkHandler(handlers.getRevokedNamesByAddress)
   );
+  fastify.get(
+    "/names/address/:address/primary",
+    createNetworkHandler(handlers.getPrimaryNameByAddress)
+  );
+  fastify.get(
+    "/names/address/:address/preorders",
+    createNetworkHandler(handlers.getPreordersByAddress)
+  );
   fastify.get(
     "/names/:full_name",
     createNetworkHandler(handlers.getNameDetails)
@@ -130,11 +169,31 @@ function registerRoutes() {
     "/names/:namespace/:name/can-register",
     createNetworkHandler(handlers.canNameBeRegistered)
   );
+  fastify.get(
+    "/names/:namespace/:name/price",
+    createNetworkHandler(handlers.getNamePrice)
+  );
+  fastify.get(
+    "/names/:namespace/:name/suggestions",
+    createNetworkHandler(handlers.getNameSuggestions)
+  );
   fastify.get("/token/last-id", createNetworkHandler(handlers.getLastTokenId));
   fastify.get(
     "/names/:full_name/renewal",
     createNetworkHandler(handlers.getNameRenewal)
   );
+  fastify.get(
+    "/names/:full_name/history",
+    createNetworkHandler(handlers.getNameHistory)
+  );
+  fastify.get(
+    "/names/:full_name/rarity",
+    createNetworkHandler(handlers.getNameRarity)
+  );
+  fastify.get(
+    "/names/:full_name/listing",
+    createNetworkHandler(handlers.getNameListing)
+  );
   fastify.get(
     "/names/:full_name/can-resolve",
     createNetworkHandler(handlers.canResolve)
@@ -154,6 +213,18 @@ function registerRoutes() {
     "/namespaces/:namespace/rare-names",
     createNetworkHandler(handlers.getRarestNames)
   );
+  fastify.get(
+    "/namespaces/:namespace/imported",
+    createNetworkHandler(handlers.getImportedNamesByNamespace)
+  );
+  fastify.get(
+    "/namespaces/:namespace/holders",
+    createNetworkHandler(handlers.getNamespaceHolders)
+  );
+  fastify.get(
+    "/namespaces/:namespace/manager",
+    createNetworkHandler(handlers.getNamespaceManager)
+  );
   fastify.get(
     "/subdomains/:full_name",
     createNetworkHandler(handlers.getSubdomains)
@@ -178,6 +249,24 @@ function registerRoutes() {
     "/zonefile/:full_name/profile",
     createNetworkHandler(handlers.getProfileZonefile)
   );
+  fastify.get(
+    "/market/listings",
+    createNetworkHandler(handlers.getMarketListings)
+  );
+  fastify.get("/stats", createNetworkHandler(handlers.getStats));
+  fastify.get(
+    "/stats/registrations",
+    createNetworkHandler(handlers.getRegistrationStats)
+  );
+  fastify.get("/owners/top", createNetworkHandler(handlers.getTopOwners));
+  fastify.get(
+    "/addresses/:address/summary",
+    createNetworkHandler(handlers.getAddressSummary)
+  );
+  fastify.get(
+    "/managers/:address/namespaces",
+    createNetworkHandler(handlers.getManagedNamespaces)
+  );
 
   fastify.get("/testnet/names", createNetworkHandler(handlers.getAllNames));
   fastify.get(
@@ -192,6 +281,42 @@ function registerRoutes() {
     "/testnet/names/revoked",
     createNetworkHandler(handlers.getRevokedNames)
   );
+  fastify.get(
+    "/testnet/names/expiring-soon",
+    createNetworkHandler(handlers.getExpiringNames)
+  );
+  fastify.get(
+    "/testnet/names/grace-period",
+    createNetworkHandler(handlers.getGracePeriodNames)
+  );
+  fastify.get(
+    "/testnet/names/recent",
+    createNetworkHandler(handlers.getRecentNames)
+  );
+  fastify.get(
+    "/testnet/names/imported",
+    createNetworkHandler(handlers.getImportedNames)
+  );
+  fastify.get(
+    "/testnet/names/address/:address",
+    createNetworkHandler(handlers.getNamesByAddress)
+  );
+  fastify.get(
+    "/testnet/names/search",
+    createNetworkHandler(handlers.searchNames)
+  );
+  fastify.post(
+    "/testnet/names/batch",
+    createNetworkHandler(handlers.getNamesBatch)
+  );
+  fastify.post(
+    "/testnet/names/addresses",
+    createNetworkHandler(handlers.getNamesByAddresses)
+  );
+  fastify.post(
+    "/testnet/names/availability",
+    createNetworkHandler(handlers.getNameAvailability)
+  );
   fastify.get(
     "/testnet/names/address/:address/valid",
     createNetworkHandler(handlers.getValidNamesByAddress)
@@ -204,10 +329,22 @@ function registerRoutes() {
     "/testnet/names/address/:address/expiring-soon",
     createNetworkHandler(handlers.getExpiringNamesByAddress)
   );
+  fastify.get(
+    "/testnet/names/address/:address/grace-period",
+    createNetworkHandler(handlers.getGracePeriodNamesByAddress)
+  );
   fastify.get(
     "/testnet/names/address/:address/revoked",
     createNetworkHandler(handlers.getRevokedNamesByAddress)
   );
+  fastify.get(
+    "/testnet/names/address/:address/primary",
+    createNetworkHandler(handlers.getPrimaryNameByAddress)
+  );
+  fastify.get(
+    "/testnet/names/address/:address/preorders",
+    createNetworkHandler(handlers.getPreordersByAddress)
+  );
   fastify.get(
     "/testnet/names/:full_name",
     createNetworkHandler(handlers.getNameDetails)
@@ -232,6 +369,14 @@ function registerRoutes() {
     "/testnet/names/:namespace/:name/can-register",
     createNetworkHandler(handlers.canNameBeRegistered)
   );
+  fastify.get(
+    "/testnet/names/:namespace/:name/price",
+    createNetworkHandler(handlers.getNamePrice)
+  );
+  fastify.get(
+    "/testnet/names/:namespace/:name/suggestions",
+    createNetworkHandler(handlers.getNameSuggestions)
+  );
   fastify.get(
     "/testnet/token/last-id",
     createNetworkHandler(handlers.getLastTokenId)
@@ -240,6 +385,18 @@ function registerRoutes() {
     "/testnet/names/:full_name/renewal",
     createNetworkHandler(handlers.getNameRenewal)
   );
+  fastify.get(
+    "/testnet/names/:full_name/history",
+    createNetworkHandler(handlers.getNameHistory)
+  );
+  fastify.get(
+    "/testnet/names/:full_name/rarity",
+    createNetworkHandler(handlers.getNameRarity)
+  );
+  fastify.get(
+    "/testnet/names/:full_name/listing",
+    createNetworkHandler(handlers.getNameListing)
+  );
   fastify.get(
     "/testnet/names/:full_name/can-resolve",
     createNetworkHandler(handlers.canResolve)
@@ -268,6 +425,18 @@ function registerRoutes() {
     "/testnet/namespaces/:namespace/rare-names",
     createNetworkHandler(handlers.getRarestNames)
   );
+  fastify.get(
+    "/testnet/namespaces/:namespace/imported",
+    createNetworkHandler(handlers.getImportedNamesByNamespace)
+  );
+  fastify.get(
+    "/testnet/namespaces/:namespace/holders",
+    createNetworkHandler(handlers.getNamespaceHolders)
+  );
+  fastify.get(
+    "/testnet/namespaces/:namespace/manager",
+    createNetworkHandler(handlers.getNamespaceManager)
+  );
   fastify.get(
     "/testnet/subdomains/:full_name",
     createNetworkHandler(handlers.getSubdomains)
@@ -292,6 +461,27 @@ function registerRoutes() {
     "/testnet/zonefile/:full_name/profile",
     createNetworkHandler(handlers.getProfileZonefile)
   );
+  fastify.get(
+    "/testnet/market/listings",
+    createNetworkHandler(handlers.getMarketListings)
+  );
+  fastify.get("/testnet/stats", createNetworkHandler(handlers.getStats));
+  fastify.get(
+    "/testnet/stats/registrations",
+    createNetworkHandler(handlers.getRegistrationStats)
+  );
+  fastify.get(
+    "/testnet/owners/top",
+    createNetworkHandler(handlers.getTopOwners)
+  );
+  fastify.get(
+    "/testnet/addresses/:address/summary",
+    createNetworkHandler(handlers.getAddressSummary)
+  );
+  fastify.get(
+    "/testnet/managers/:address/namespaces",
+    createNetworkHandler(handlers.getManagedNamespaces)
+  );
 }
 
 registerRoutes();
@@ -32,3 +32,9 @@ export async function getCurrentBurnBlockHeight(network) {
 
   return burnBlockHeight;
 }
+
+// Lets the event-observer indexer push heights as burn blocks arrive instead
+// of waiting for the cached value from the Hiro API to expire.
+export function setCurrentBurnBlockHeight(network, burnBlockHeight) {
+  cache.set(BURN_BLOCK_CACHE_KEY[network], burnBlockHeight);
+}
@@ -85,8 +85,9 @@ export function getPool() {
   return pool;
 }
 
+// Unref'd so scripts and tests that import the pool can exit on their own.
 setInterval(() => {
   checkPoolHealth();
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 export default pool;
@@ -0,0 +1,11 @@
+// Gini coefficient from the holdings sorted ascending, where `weightedSum` is
+// the sum of rank * names: 0 when every holder has as many names, approaching
+// 1 when a single holder has them all.
+export function giniCoefficient(holderCount, totalNames, weightedSum) {
+  if (holderCount === 0 || totalNames === 0) return 0;
+
+  return (
+    (2 * weightedSum) / (holderCount * totalNames) -
+    (holderCount + 1) / holderCount
+  );
+}
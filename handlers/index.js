@@ -1,5 +1,8 @@
+import marketHandlers from "./market-handlers.js";
 import nameHandlers from "./name-handlers.js";
 import namespaceHandlers from "./namespace-handlers.js";
+import ownerHandlers from "./owner-handlers.js";
+import statsHandlers from "./stats-handlers.js";
 import subdomainHandlers from "./subdomain-handlers.js";
 import tokenHandlers from "./token-handlers.js";
 import zonefileHandlers from "./zonefile-handlers.js";
@@ -10,4 +13,7 @@ export default {
   ...tokenHandlers,
   ...subdomainHandlers,
   ...zonefileHandlers,
+  ...marketHandlers,
+  ...statsHandlers,
+  ...ownerHandlers,
 };
@@ -0,0 +1,224 @@
+import { getCurrentBurnBlockHeight } from "../burnblock-service.js";
+import cache from "../cache.js";
+import { getPool } from "../db.js";
+import {
+  buildPage,
+  filterConditions,
+  formatListing,
+  getListingForName,
+  keyset,
+  keysetCondition,
+  parsePagination,
+  queryParams,
+  tableExists,
+  whereClause,
+} from "../query-utils.js";
+
+const CACHE_TTL = {
+  LISTINGS: 30,
+};
+
+const MARKET_NOT_INDEXED =
+  "Marketplace listings are not indexed on this server";
+
+const LISTING_SORTS = {
+  price: { expression: "m.price", defaultOrder: "asc" },
+  listed_at: { expression: "COALESCE(m.listed_at, 0)", defaultOrder: "desc" },
+};
+
+const listingCursor = (sort, order) =>
+  keyset(`${sort}_${order}`, ["integer", "integer"], (row) => [
+    String(row.sort_value),
+    row.id,
+  ]);
+
+function isUstxAmount(value) {
+  return typeof value === "string" && /^\d+$/.test(value);
+}
+
+function formatListingRow(row) {
+  return {
+    id: row.id,
+    full_name: row.full_name,
+    name_string: row.name_string,
+    namespace_string: row.namespace_string,
+    seller: row.seller,
+    renewal_height: row.renewal_height,
+    ...formatListing(row),
+  };
+}
+
+const marketHandlers = {
+  getMarketListings: async (request, reply, { schema, network }) => {
+    const {
+      namespace,
+      seller,
+      min_price,
+      max_price,
+      sort = "price",
+    } = request.query;
+
+    if (!LISTING_SORTS[sort]) {
+      return reply.status(400).send({
+        error: `Invalid sort. Use one of: ${Object.keys(LISTING_SORTS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const order = request.query.order || LISTING_SORTS[sort].defaultOrder;
+
+    if (order !== "asc" && order !== "desc") {
+      return reply
+        .status(400)
+        .send({ error: "Invalid order. Use 'asc' or 'desc'" });
+    }
+
+    if (
+      (min_price !== undefined && !isUstxAmount(min_price)) ||
+      (max_price !== undefined && !isUstxAmount(max_price))
+    ) {
+      return reply.status(400).send({
+        error: "min_price and max_price must be whole amounts in uSTX",
+      });
+    }
+
+    const { limit, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      listingCursor(sort, order)
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    if (!(await tableExists("market_listings", network))) {
+      return reply.status(501).send({ error: MARKET_NOT_INDEXED });
+    }
+
+    const cacheKey = `market_listings_${network}_${namespace}_${seller}_${min_price}_${max_price}_${sort}_${order}_${limit}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const { values, param } = queryParams();
+
+    const conditions = filterConditions(
+      {
+        "n.namespace_string =": namespace,
+        "n.owner =": seller,
+        "m.price >=": min_price,
+        "m.price <=": max_price,
+      },
+      param
+    );
+
+    const filterWhereClause = whereClause(conditions);
+    const filterValues = [...values];
+    const sortExpression = LISTING_SORTS[sort].expression;
+
+    if (cursorValues) {
+      conditions.push(
+        keysetCondition([sortExpression, "m.id"], order, [
+          `${param(cursorValues[0])}::numeric`,
+          `${param(cursorValues[1])}::bigint`,
+        ])
+      );
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)
+       FROM ${schema}.market_listings m
+       JOIN ${schema}.names n ON n.id = m.id
+       ${filterWhereClause}`,
+      filterValues
+    );
+
+    const result = await pool.query(
+      `SELECT
+        m.id,
+        n.name_string || '.' || n.namespace_string AS full_name,
+        n.name_string,
+        n.namespace_string,
+        n.owner AS seller,
+        n.renewal_height,
+        m.price,
+        m.commission,
+        m.listed_at,
+        m.txid,
+        ${sortExpression} AS sort_value
+       FROM ${schema}.market_listings m
+       JOIN ${schema}.names n ON n.id = m.id
+       ${whereClause(conditions)}
+       ORDER BY ${sortExpression} ${order.toUpperCase()}, m.id ${order.toUpperCase()}
+       LIMIT ${param(limit + 1)}`,
+      values
+    );
+
+    const { listings, next_cursor } = buildPage(
+      result.rows,
+      limit,
+      listingCursor(sort, order),
+      "listings"
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      current_burn_block: currentBurnBlock,
+      total: parseInt(countResult.rows[0].count),
+      limit,
+      sort,
+      order,
+      listings: listings.map(formatListingRow),
+      next_cursor,
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.LISTINGS);
+
+    reply.send(response);
+  },
+
+  getNameListing: async (request, reply, { schema, network }) => {
+    const { full_name } = request.params;
+    const [nameString, namespaceString] = full_name.split(".");
+
+    if (!(await tableExists("market_listings", network))) {
+      return reply.status(501).send({ error: MARKET_NOT_INDEXED });
+    }
+
+    const pool = getPool();
+
+    const nameResult = await pool.query(
+      `SELECT id, owner
+       FROM ${schema}.names
+       WHERE name_string = $1 AND namespace_string = $2`,
+      [nameString, namespaceString]
+    );
+
+    if (nameResult.rows.length === 0) {
+      return reply.status(404).send({ error: "Name not found" });
+    }
+
+    const listing = await getListingForName(
+      nameString,
+      namespaceString,
+      network
+    );
+
+    reply.send({
+      ...(network === "testnet" && { network: "testnet" }),
+      full_name,
+      id: nameResult.rows[0].id,
+      listed: listing !== null,
+      seller: listing ? nameResult.rows[0].owner : null,
+      listing,
+    });
+  },
+};
+
+export default marketHandlers;
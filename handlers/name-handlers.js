@@ -1,11 +1,42 @@
+import { hash160 } from "@stacks/transactions";
 import { getCurrentBurnBlockHeight } from "../burnblock-service.js";
 import cache from "../cache.js";
 import { getPool } from "../db.js";
 import {
+  computeNamePrice,
+  formatUstxAsStx,
+  isValidNameString,
+} from "../price-utils.js";
+import {
+  buildPage,
+  clampLimit,
+  EXPIRING_SOON_WINDOW,
+  filterConditions,
+  getEffectiveRenewalHeight,
+  getListingForName,
   getNameInfo,
   getNamespaceInfo,
   getNameStatus,
+  getPrimaryName,
+  getPrimaryNames,
+  isIntegerParam,
+  getRenewalStatus,
+  GRACE_PERIOD_BLOCKS,
+  keyset,
+  keysetCondition,
+  NAME_STATUSES,
+  nameStatusSql,
+  parsePagination,
+  queryParams,
+  tableExists,
+  whereClause,
 } from "../query-utils.js";
+import {
+  DEFAULT_RARITY_PROFILE,
+  getRarityProfiles,
+  isRarityProfile,
+  scoreNameRarity,
+} from "../rarity-engine.js";
 import {
   getAndValidateZonefile,
   hasValidBtcAddress,
@@ -15,8 +46,587 @@ const CACHE_TTL = {
   NAME_LIST: 60,
   NAME_COUNT: 300,
   RARITY: 3600,
+  SEARCH: 60,
+  EXTENSION_CHECK: 3600,
+};
+
+const SEARCH_MAX_QUERY_LENGTH = 64;
+const BATCH_MAX_NAMES = 250;
+const BATCH_MAX_ADDRESSES = 100;
+const AVAILABILITY_MAX_NAMES = 250;
+const AVAILABILITY_MAX_NAMESPACES = 10;
+const SUGGESTION_DEFAULT_LIMIT = 10;
+const SUGGESTION_MAX_LIMIT = 50;
+const SUGGESTION_MAX_NAMESPACES = 10;
+const SUGGESTION_NUMERIC_SUFFIXES = ["1", "2", "3", "7", "42", "99"];
+const SUGGESTION_PREFIXES = ["the", "my", "get", "im", "hey"];
+const MAX_EXPIRING_WINDOW = 262800;
+const PREORDER_CLAIMABILITY_TTL = 144;
+const PREORDER_LIST_MAX = 100;
+const PREORDERS_NOT_INDEXED = "Preorders are not indexed on this server";
+
+// Sorts of the address names subquery.
+const ADDRESS_NAME_SORTS = {
+  name: "full_name",
+  registered_at: "COALESCE(registered_at, 0)",
+  renewal_height: "renewal_height",
+};
+
+const SEARCH_DEFAULT_LIMIT = 20;
+
+const SEARCH_STATUS_FILTERS = {
+  valid: (block) =>
+    `revoked = false AND (renewal_height = 0 OR renewal_height > ${block})`,
+  expired: (block) =>
+    `revoked = false AND renewal_height != 0 AND renewal_height <= ${block}`,
+  revoked: () => "revoked = true",
+};
+
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, "\\$&");
+}
+
+// WHERE clause of a search, appending its parameters to `values`.
+function buildSearchConditions(search, values) {
+  const { param } = queryParams(values);
+
+  const escapedTerm = escapeLikePattern(search.term);
+  const matchConditions = [`name_string LIKE ${param(`%${escapedTerm}%`)}`];
+
+  if (search.fuzzy) {
+    matchConditions.push(`name_string % ${param(search.term)}`);
+  }
+  if (search.namespaceTerm === null) {
+    matchConditions.push(`namespace_string LIKE ${param(`${escapedTerm}%`)}`);
+  }
+
+  const conditions = [`(${matchConditions.join(" OR ")})`];
+
+  if (search.namespaceTerm) {
+    conditions.push(
+      `namespace_string LIKE ${param(
+        `${escapeLikePattern(search.namespaceTerm)}%`
+      )}`
+    );
+  }
+  if (search.namespace) {
+    conditions.push(`namespace_string = ${param(search.namespace)}`);
+  }
+  if (search.status) {
+    conditions.push(
+      SEARCH_STATUS_FILTERS[search.status](param(search.currentBurnBlock))
+    );
+  }
+
+  return conditions.join(" AND ");
+}
+
+// Names in managed namespaces never expire, so expiry lists leave them out.
+const UNMANAGED_NAMESPACE_SQL =
+  "(ns.namespace_manager IS NULL OR ns.namespace_manager = 'none')";
+
+// Names past their renewal height but still within the grace window, where
+// $1 is the current burn block and $2 the start of the grace window.
+const GRACE_PERIOD_CONDITIONS = `n.revoked = false
+       AND n.renewal_height != 0
+       AND n.renewal_height < $1
+       AND n.renewal_height >= $2
+       AND ${UNMANAGED_NAMESPACE_SQL}`;
+
+// Reads the `within` horizon (in burn blocks) of the expiring-soon lists.
+function parseExpirationWindow(query) {
+  if (query.within === undefined) return EXPIRING_SOON_WINDOW;
+
+  const within = parseInt(query.within);
+  return within > 0 && within <= MAX_EXPIRING_WINDOW ? within : null;
+}
+
+// Search results rank by score, then shorter names, then by full name.
+const searchCursor = keyset(
+  "search",
+  ["integer", "integer", "string", "string"],
+  (row) => [
+    String(row.score),
+    [...row.name_string].length,
+    row.name_string,
+    row.namespace_string,
+  ]
+);
+
+const fullNameCursor = keyset("full_name", ["string"], (row) => [
+  row.full_name,
+]);
+const nameCursor = keyset("name_string", ["string"], (row) => [
+  row.name_string,
+]);
+const renewalCursor = keyset("renewal_height", ["integer", "string"], (row) => [
+  row.renewal_height,
+  row.full_name,
+]);
+const registrationCursor = keyset(
+  "registered_at",
+  ["integer", "integer"],
+  (row) => [row.registered_at, row.id]
+);
+const historyCursor = keyset("history", ["integer"], (row) => [row.id]);
+const sortCursor = (sort, order) =>
+  sort === "name"
+    ? keyset(`name_${order}`, ["string", "string"], (row) => [
+        row.full_name,
+        row.full_name,
+      ])
+    : keyset(`${sort}_${order}`, ["integer", "string"], (row) => [
+        row[sort] || 0,
+        row.full_name,
+      ]);
+
+const FULL_NAME_SQL = "name_string || '.' || namespace_string";
+
+// Sorts of the global name lists, each tied on the full name.
+const NAME_LIST_SORTS = {
+  name: { expression: FULL_NAME_SQL, value: (row) => row.full_name },
+  registered_at: {
+    expression: "COALESCE(registered_at, 0)",
+    value: (row) => row.registered_at || 0,
+  },
+  renewal_height: {
+    expression: "renewal_height",
+    value: (row) => row.renewal_height,
+  },
+  length: {
+    expression: "LENGTH(name_string)",
+    value: (row) => row.name_string.length,
+  },
+};
+
+const NAME_LIST_INTEGER_FILTERS = {
+  min_length: "LENGTH(name_string) >=",
+  max_length: "LENGTH(name_string) <=",
+  registered_after: "registered_at >",
+  registered_before: "registered_at <",
 };
 
+// Validates the sort and filter parameters shared by the global name lists.
+function parseNameListOptions(query) {
+  const { sort = "name", order = "asc", namespace, owner } = query;
+
+  if (!NAME_LIST_SORTS[sort]) {
+    return {
+      error: `Invalid sort. Valid sorts: ${Object.keys(NAME_LIST_SORTS).join(
+        ", "
+      )}`,
+    };
+  }
+
+  if (order !== "asc" && order !== "desc") {
+    return { error: "Invalid order. Valid orders: asc, desc" };
+  }
+
+  const filters = {};
+  if (namespace) filters.namespace = namespace;
+  if (owner) filters.owner = owner;
+
+  for (const field of Object.keys(NAME_LIST_INTEGER_FILTERS)) {
+    if (query[field] === undefined) continue;
+
+    const value = parseInt(query[field]);
+    if (isNaN(value) || value < 0) {
+      return { error: `Invalid ${field}. Must be a non-negative integer` };
+    }
+    filters[field] = value;
+  }
+
+  return { sort, order, filters };
+}
+
+function buildNameListFilters(filters, values) {
+  const comparisons = Object.entries(NAME_LIST_INTEGER_FILTERS).map(
+    ([field, comparison]) => [comparison, filters[field]]
+  );
+
+  return filterConditions(
+    {
+      "namespace_string =": filters.namespace,
+      "owner =": filters.owner,
+      ...Object.fromEntries(comparisons),
+    },
+    queryParams(values).param
+  );
+}
+
+function buildNameListKeyset(sort, order, cursorValues, values) {
+  if (!cursorValues) return null;
+
+  const { param } = queryParams(values);
+
+  if (sort === "name") {
+    return keysetCondition([FULL_NAME_SQL], order, [
+      param(String(cursorValues[0])),
+    ]);
+  }
+
+  return keysetCondition(
+    [NAME_LIST_SORTS[sort].expression, FULL_NAME_SQL],
+    order,
+    [`${param(cursorValues[0])}::bigint`, param(String(cursorValues[1]))]
+  );
+}
+
+function buildNameListOrder(sort, order) {
+  const direction = order === "desc" ? "DESC" : "ASC";
+
+  if (sort === "name") {
+    return `${FULL_NAME_SQL} ${direction}`;
+  }
+
+  return `${NAME_LIST_SORTS[sort].expression} ${direction}, ${FULL_NAME_SQL} ${direction}`;
+}
+
+const nameListCursor = (sort, order) =>
+  sort === "name"
+    ? keyset(`name_${order}`, ["string"], (row) => [row.full_name])
+    : keyset(`${sort}_${order}`, ["integer", "string"], (row) => [
+        NAME_LIST_SORTS[sort].value(row),
+        row.full_name,
+      ]);
+
+async function hasTrigramSupport(pool) {
+  const cacheKey = "pg_trgm_available";
+
+  const cachedValue = cache.get(cacheKey);
+  if (cachedValue !== undefined) return cachedValue;
+
+  const result = await pool.query(
+    `SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm'`
+  );
+  const isAvailable = result.rows.length > 0;
+
+  cache.set(cacheKey, isAvailable, CACHE_TTL.EXTENSION_CHECK);
+
+  return isAvailable;
+}
+
+// Verdict for a name in a launched namespace, shared by the single and bulk
+// availability checks. `nameData` is null when the name has never existed.
+function getRegistrationVerdict(namespaceData, nameData, currentBurnBlock) {
+  if (!nameData) {
+    return { can_register: true, reason: "NAME_AVAILABLE" };
+  }
+
+  if (nameData.imported_at) {
+    return {
+      can_register: false,
+      reason: "NAME_IMPORTED",
+      current_owner: nameData.owner,
+    };
+  }
+
+  if (!namespaceData.namespace_manager && nameData.renewal_height > 0) {
+    const isExpired = nameData.renewal_height <= currentBurnBlock;
+    if (isExpired) {
+      return {
+        can_register: true,
+        reason: "NAME_EXPIRED",
+        previous_owner: nameData.owner,
+        expired_at: nameData.renewal_height,
+      };
+    }
+  }
+
+  return {
+    can_register: false,
+    reason: "NAME_TAKEN",
+    current_owner: nameData.owner,
+  };
+}
+
+// Candidate alternatives for a taken name, grouped by how they were derived.
+// Other namespaces keep the label as-is; the rest stay in the same namespace.
+function buildSuggestionCandidates(name, namespace, otherNamespaces) {
+  const seen = new Set([`${name}.${namespace}`]);
+  const candidates = [];
+
+  const add = (type, candidateName, candidateNamespace = namespace) => {
+    const fullName = `${candidateName}.${candidateNamespace}`;
+    if (!isValidNameString(candidateName) || seen.has(fullName)) return;
+
+    seen.add(fullName);
+    candidates.push({
+      type,
+      name: candidateName,
+      namespace: candidateNamespace,
+      full_name: fullName,
+    });
+  };
+
+  for (const otherNamespace of otherNamespaces) {
+    add("namespace", name, otherNamespace);
+  }
+  for (const suffix of SUGGESTION_NUMERIC_SUFFIXES) {
+    add("numeric_suffix", `${name}${suffix}`);
+  }
+  for (const suffix of SUGGESTION_NUMERIC_SUFFIXES) {
+    add("hyphenated", `${name}-${suffix}`);
+  }
+  for (const prefix of SUGGESTION_PREFIXES) {
+    add("hyphenated", `${prefix}-${name}`);
+  }
+  for (const prefix of SUGGESTION_PREFIXES) {
+    add("prefix", `${prefix}${name}`);
+  }
+
+  return candidates;
+}
+
+// Checks the candidates against the names table and returns up to `limit`
+// registrable ones, taking them from each suggestion type in turn so one kind
+// of alternative doesn't crowd out the others.
+async function findNameSuggestions(
+  pool,
+  schema,
+  { name, namespace, currentBurnBlock, limit }
+) {
+  // Only managers register names in managed namespaces, so suggestions come
+  // from launched, unmanaged ones, including the requested namespace.
+  const namespaceResult = await pool.query(
+    `SELECT 
+      ns.namespace_string,
+      ns.launched_at,
+      ns.namespace_manager,
+      ns.price_function_base,
+      ns.price_function_coeff,
+      ns.price_function_buckets,
+      ns.price_function_no_vowel_discount,
+      ns.price_function_nonalpha_discount
+     FROM ${schema}.namespaces ns
+     WHERE ns.launched_at IS NOT NULL
+     AND ${UNMANAGED_NAMESPACE_SQL}
+     ORDER BY ns.namespace_string`
+  );
+
+  const namespaces = new Map(
+    namespaceResult.rows.map((row) => [row.namespace_string, row])
+  );
+  const otherNamespaces = namespaceResult.rows
+    .filter((row) => row.namespace_string !== namespace)
+    .slice(0, SUGGESTION_MAX_NAMESPACES)
+    .map((row) => row.namespace_string);
+
+  const candidates = buildSuggestionCandidates(
+    name,
+    namespace,
+    otherNamespaces
+  ).filter((candidate) => namespaces.has(candidate.namespace));
+
+  if (candidates.length === 0) return [];
+
+  const nameResult = await pool.query(
+    `SELECT 
+      name_string || '.' || namespace_string AS full_name,
+      renewal_height,
+      imported_at,
+      owner
+     FROM ${schema}.names 
+     WHERE (name_string, namespace_string) IN (
+       SELECT * FROM UNNEST($1::text[], $2::text[])
+     )`,
+    [
+      candidates.map((candidate) => candidate.name),
+      candidates.map((candidate) => candidate.namespace),
+    ]
+  );
+
+  const nameRows = new Map(nameResult.rows.map((row) => [row.full_name, row]));
+
+  const availableByType = new Map();
+  for (const candidate of candidates) {
+    const namespaceData = namespaces.get(candidate.namespace);
+    const verdict = getRegistrationVerdict(
+      namespaceData,
+      nameRows.get(candidate.full_name) || null,
+      currentBurnBlock
+    );
+    if (!verdict.can_register) continue;
+
+    const quote = computeNamePrice(candidate.name, namespaceData);
+    const available = availableByType.get(candidate.type) || [];
+    available.push({
+      ...candidate,
+      reason: verdict.reason,
+      price_ustx: quote ? quote.price.toString() : null,
+      price_stx: quote ? formatUstxAsStx(quote.price) : null,
+    });
+    availableByType.set(candidate.type, available);
+  }
+
+  const queues = [...availableByType.values()];
+  const suggestions = [];
+  while (suggestions.length < limit && queues.some((queue) => queue.length)) {
+    for (const queue of queues) {
+      if (queue.length && suggestions.length < limit) {
+        suggestions.push(queue.shift());
+      }
+    }
+  }
+
+  return suggestions;
+}
+
+function parseSuggestionLimit(query) {
+  const limit = parseInt(query.limit || SUGGESTION_DEFAULT_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1) return null;
+  return Math.min(limit, SUGGESTION_MAX_LIMIT);
+}
+
+function isHexSalt(salt) {
+  return typeof salt === "string" && /^(0x)?([0-9a-fA-F]{2})+$/.test(salt);
+}
+
+// BNS-V2 preorders only record hash160(name + "." + namespace + salt), so a
+// preorder can be matched to its name only by someone who knows the salt.
+function hashSaltedFqn(name, namespace, salt) {
+  const fqn = Buffer.from(`${name}.${namespace}`);
+  const saltBytes = Buffer.from(salt.replace(/^0x/, ""), "hex");
+
+  return Buffer.from(hash160(Buffer.concat([fqn, saltBytes]))).toString("hex");
+}
+
+// Indexed preorders `p` with the name each was claimed for, if any.
+function preorderQuery(schema, conditions) {
+  return `SELECT
+      p.hashed_salted_fqn,
+      p.buyer,
+      p.stx_burned,
+      p.txid,
+      p.created_at,
+      n.name_string || '.' || n.namespace_string AS claimed_name
+     FROM ${schema}.name_preorders p
+     LEFT JOIN ${schema}.names n
+       ON n.hashed_salted_fqn_preorder = p.hashed_salted_fqn
+       AND n.preordered_by = p.buyer
+     WHERE ${conditions}`;
+}
+
+// A mined preorder can be claimed until PREORDER_CLAIMABILITY_TTL burn
+// blocks after it; one still in the mempool has no expiry yet.
+function formatPreorder(row, currentBurnBlock) {
+  const expiresAt =
+    row.created_at === null ? null : row.created_at + PREORDER_CLAIMABILITY_TTL;
+
+  let status;
+  if (row.claimed_name) {
+    status = "claimed";
+  } else if (expiresAt === null) {
+    status = "pending";
+  } else {
+    status = currentBurnBlock < expiresAt ? "active" : "expired";
+  }
+
+  return {
+    hashed_salted_fqn: row.hashed_salted_fqn,
+    buyer: row.buyer,
+    status,
+    stx_burned: row.stx_burned,
+    txid: row.txid,
+    created_at: row.created_at,
+    expires_at: expiresAt,
+    claimed_name: row.claimed_name,
+  };
+}
+
+// Imported names with their namespace's launch data, ordered by import.
+async function queryImportedNames(
+  pool,
+  schema,
+  { namespace, limit, offset, cursorValues }
+) {
+  const { values, param } = queryParams();
+
+  const conditions = [
+    "n.imported_at IS NOT NULL",
+    ...filterConditions({ "n.namespace_string =": namespace }, param),
+  ];
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*) FROM ${schema}.names n
+     ${whereClause(conditions)}`,
+    values
+  );
+
+  if (cursorValues) {
+    conditions.push(
+      keysetCondition(["n.imported_at", "n.id"], "asc", [
+        `${param(cursorValues[0])}::integer`,
+        `${param(cursorValues[1])}::bigint`,
+      ])
+    );
+  }
+
+  const result = await pool.query(
+    `SELECT
+      n.id,
+      n.name_string || '.' || n.namespace_string AS full_name,
+      n.name_string,
+      n.namespace_string,
+      n.owner,
+      n.imported_at,
+      n.registered_at,
+      n.renewal_height,
+      n.revoked,
+      ns.launched_at,
+      ns.lifetime,
+      ns.namespace_manager
+     FROM ${schema}.names n
+     LEFT JOIN ${schema}.namespaces ns ON ns.namespace_string = n.namespace_string
+     ${whereClause(conditions)}
+     ORDER BY n.imported_at ASC, n.id ASC
+     LIMIT ${param(limit + 1)} OFFSET ${param(offset)}`,
+    values
+  );
+
+  return { total: parseInt(countResult.rows[0].count), rows: result.rows };
+}
+
+// Imported names can't be used until their namespace launches, and expire
+// from the launch until their owner renews them.
+function formatImportedName(row, currentBurnBlock) {
+  const launched = row.launched_at !== null && row.launched_at !== undefined;
+  const effectiveRenewalHeight = getEffectiveRenewalHeight(row, row);
+  const isManaged =
+    row.namespace_manager !== null && row.namespace_manager !== "none";
+
+  let status;
+  if (row.revoked) {
+    status = "revoked";
+  } else if (!launched) {
+    status = "unlaunched";
+  } else if (isManaged) {
+    status = "active";
+  } else {
+    status = getRenewalStatus(effectiveRenewalHeight, currentBurnBlock);
+  }
+
+  return {
+    id: row.id,
+    full_name: row.full_name,
+    name_string: row.name_string,
+    namespace_string: row.namespace_string,
+    owner: row.owner,
+    imported_at: row.imported_at,
+    registered_at: row.registered_at,
+    renewal_height: row.renewal_height,
+    effective_renewal_height: effectiveRenewalHeight,
+    launched,
+    renewed: parseInt(row.renewal_height) !== 0,
+    status,
+  };
+}
+
+const importCursor = keyset("imported_at", ["integer", "integer"], (row) => [
+  row.imported_at,
+  row.id,
+]);
+
 const nameHandlers = {
   getNameDetails: async (request, reply, { schema, network }) => {
     const [nameString, namespaceString] = request.params.full_name.split(".");
@@ -84,21 +694,155 @@ const nameHandlers = {
       is_valid: isValid,
     };
 
+    const listing = await getListingForName(
+      nameString,
+      namespaceString,
+      network
+    );
+
     reply.send({
       ...(network === "testnet" && { network: "testnet" }),
       current_burn_block: currentBurnBlock,
       status: status,
       is_managed: isManaged,
+      listing,
       data: formattedResponse,
     });
   },
 
+  getNamesBatch: async (request, reply, { schema, network }) => {
+    const names = request.body && request.body.names;
+
+    if (!Array.isArray(names) || names.length === 0) {
+      return reply
+        .status(400)
+        .send({ error: "Body must include a non-empty 'names' array" });
+    }
+
+    if (names.length > BATCH_MAX_NAMES) {
+      return reply.status(400).send({
+        error: `A batch may contain at most ${BATCH_MAX_NAMES} names`,
+      });
+    }
+
+    const requested = names.map((fullName) => {
+      const parts = typeof fullName === "string" ? fullName.split(".") : [];
+      return {
+        fullName,
+        nameString: parts[0],
+        namespaceString: parts[1],
+        isValidFormat: parts.length === 2 && !!parts[0] && !!parts[1],
+      };
+    });
+
+    const lookups = requested.filter((item) => item.isValidFormat);
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const namespaceResult = await pool.query(
+      `SELECT namespace_string, namespace_manager
+       FROM ${schema}.namespaces
+       WHERE namespace_string = ANY($1)`,
+      [[...new Set(lookups.map((item) => item.namespaceString))]]
+    );
+
+    const namespaces = new Map(
+      namespaceResult.rows.map((row) => [row.namespace_string, row])
+    );
+
+    const result = await pool.query(
+      `SELECT 
+        name_string,
+        namespace_string,
+        name_string || '.' || namespace_string AS full_name,
+        owner,
+        registered_at,
+        renewal_height,
+        stx_burn,
+        revoked,
+        imported_at,
+        preordered_by
+       FROM ${schema}.names 
+       WHERE (name_string, namespace_string) IN (
+         SELECT * FROM UNNEST($1::text[], $2::text[])
+       )`,
+      [
+        lookups.map((item) => item.nameString),
+        lookups.map((item) => item.namespaceString),
+      ]
+    );
+
+    const nameRows = new Map(result.rows.map((row) => [row.full_name, row]));
+
+    const results = requested.map((item) => {
+      if (!item.isValidFormat) {
+        return { full_name: item.fullName, error: "Invalid name format" };
+      }
+
+      const namespaceData = namespaces.get(item.namespaceString);
+      if (!namespaceData) {
+        return { full_name: item.fullName, error: "Namespace not found" };
+      }
+
+      const nameData = nameRows.get(item.fullName);
+      if (!nameData) {
+        return { full_name: item.fullName, error: "Name not found" };
+      }
+
+      const isManaged =
+        namespaceData.namespace_manager !== "none" &&
+        namespaceData.namespace_manager !== null;
+
+      let status;
+      if (nameData.revoked) {
+        status = "revoked";
+      } else if (isManaged) {
+        status = "active";
+      } else {
+        status = getRenewalStatus(nameData.renewal_height, currentBurnBlock);
+      }
+
+      const isValid =
+        !nameData.revoked &&
+        (isManaged || status === "active" || status === "expiring-soon");
+
+      return {
+        full_name: item.fullName,
+        status: status,
+        is_managed: isManaged,
+        data: {
+          ...nameData,
+          is_valid: isValid,
+        },
+      };
+    });
+
+    reply.send({
+      ...(network === "testnet" && { network: "testnet" }),
+      current_burn_block: currentBurnBlock,
+      results,
+    });
+  },
+
   getAllNames: async (request, reply, { schema, network }) => {
-    const { limit = 50, offset = 0 } = request.query;
+    const listOptions = parseNameListOptions(request.query);
+
+    if (listOptions.error) {
+      return reply.status(400).send({ error: listOptions.error });
+    }
+
+    const { sort, order, filters } = listOptions;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      nameListCursor(sort, order)
+    );
 
-    const safeLimit = Math.min(parseInt(limit), 100);
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+    const filterKey = JSON.stringify(filters);
 
-    const cacheKey = `all_names_${network}_${safeLimit}_${offset}`;
+    const cacheKey = `all_names_${network}_${limit}_${offset}_${cursor}_${sort}_${order}_${filterKey}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -108,13 +852,16 @@ const nameHandlers = {
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
     const pool = getPool();
 
+    const countValues = [];
     const queryConfig = {
-      text: `SELECT COUNT(*) FROM ${schema}.names`,
+      text: `SELECT COUNT(*) FROM ${schema}.names
+        ${whereClause(buildNameListFilters(filters, countValues))}`,
+      values: countValues,
       timeout: 30000,
     };
 
     try {
-      const countCacheKey = `all_names_count_${network}`;
+      const countCacheKey = `all_names_count_${network}_${filterKey}`;
       let totalCount = cache.get(countCacheKey);
 
       if (totalCount === undefined) {
@@ -123,6 +870,12 @@ const nameHandlers = {
         cache.set(countCacheKey, totalCount, CACHE_TTL.NAME_COUNT);
       }
 
+      const values = [limit + 1, offset, currentBurnBlock];
+      const conditions = [
+        ...buildNameListFilters(filters, values),
+        buildNameListKeyset(sort, order, cursorValues, values),
+      ];
+
       const queryConfig2 = {
         text: `SELECT 
           name_string || '.' || namespace_string AS full_name,
@@ -138,9 +891,10 @@ const nameHandlers = {
             ELSE false
           END as is_valid
          FROM ${schema}.names 
-         ORDER BY name_string || '.' || namespace_string ASC
+         ${whereClause(conditions)}
+         ORDER BY ${buildNameListOrder(sort, order)}
          LIMIT $1 OFFSET $2`,
-        values: [safeLimit, offset, currentBurnBlock],
+        values,
         timeout: 30000,
       };
 
@@ -150,9 +904,9 @@ const nameHandlers = {
         ...(network === "testnet" && { network: "testnet" }),
         total: totalCount,
         current_burn_block: currentBurnBlock,
-        limit: safeLimit,
-        offset: parseInt(offset),
-        names: result.rows,
+        limit: limit,
+        offset,
+        ...buildPage(result.rows, limit, nameListCursor(sort, order)),
       };
 
       cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
@@ -170,8 +924,24 @@ const nameHandlers = {
   },
 
   getValidNames: async (request, reply, { schema, network }) => {
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `valid_names_${network}_${limit}_${offset}`;
+    const listOptions = parseNameListOptions(request.query);
+
+    if (listOptions.error) {
+      return reply.status(400).send({ error: listOptions.error });
+    }
+
+    const { sort, order, filters } = listOptions;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      nameListCursor(sort, order)
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+    const filterKey = JSON.stringify(filters);
+
+    const cacheKey = `valid_names_${network}_${limit}_${offset}_${cursor}_${sort}_${order}_${filterKey}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -181,20 +951,32 @@ const nameHandlers = {
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
     const pool = getPool();
 
-    const countCacheKey = `valid_names_count_${network}_${currentBurnBlock}`;
+    const countCacheKey = `valid_names_count_${network}_${currentBurnBlock}_${filterKey}`;
     let totalCount = cache.get(countCacheKey);
 
     if (totalCount === undefined) {
+      const countValues = [currentBurnBlock];
       const countResult = await pool.query(
         `SELECT COUNT(*) FROM ${schema}.names 
-         WHERE revoked = false 
-         AND (renewal_height = 0 OR renewal_height > $1)`,
-        [currentBurnBlock]
+         ${whereClause([
+           "revoked = false",
+           "(renewal_height = 0 OR renewal_height > $1)",
+           ...buildNameListFilters(filters, countValues),
+         ])}`,
+        countValues
       );
       totalCount = parseInt(countResult.rows[0].count);
       cache.set(countCacheKey, totalCount, CACHE_TTL.NAME_COUNT);
     }
 
+    const values = [limit + 1, offset, currentBurnBlock];
+    const conditions = [
+      "revoked = false",
+      "(renewal_height = 0 OR renewal_height > $3)",
+      ...buildNameListFilters(filters, values),
+      buildNameListKeyset(sort, order, cursorValues, values),
+    ];
+
     const result = await pool.query(
       `SELECT 
         name_string || '.' || namespace_string AS full_name,
@@ -206,20 +988,19 @@ const nameHandlers = {
         stx_burn,
         revoked
        FROM ${schema}.names 
-       WHERE revoked = false
-       AND (renewal_height = 0 OR renewal_height > $3)
-       ORDER BY name_string || '.' || namespace_string ASC
+       ${whereClause(conditions)}
+       ORDER BY ${buildNameListOrder(sort, order)}
        LIMIT $1 OFFSET $2`,
-      [limit, offset, currentBurnBlock]
+      values
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
       total: totalCount,
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      names: result.rows,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, nameListCursor(sort, order)),
     };
 
     cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
@@ -228,8 +1009,24 @@ const nameHandlers = {
   },
 
   getExpiredNames: async (request, reply, { schema, network }) => {
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `expired_names_${network}_${limit}_${offset}`;
+    const listOptions = parseNameListOptions(request.query);
+
+    if (listOptions.error) {
+      return reply.status(400).send({ error: listOptions.error });
+    }
+
+    const { sort, order, filters } = listOptions;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      nameListCursor(sort, order)
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+    const filterKey = JSON.stringify(filters);
+
+    const cacheKey = `expired_names_${network}_${limit}_${offset}_${cursor}_${sort}_${order}_${filterKey}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -239,21 +1036,34 @@ const nameHandlers = {
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
     const pool = getPool();
 
-    const countCacheKey = `expired_names_count_${network}_${currentBurnBlock}`;
+    const countCacheKey = `expired_names_count_${network}_${currentBurnBlock}_${filterKey}`;
     let totalCount = cache.get(countCacheKey);
 
     if (totalCount === undefined) {
+      const countValues = [currentBurnBlock];
       const countResult = await pool.query(
         `SELECT COUNT(*) FROM ${schema}.names 
-         WHERE renewal_height != 0 
-         AND renewal_height <= $1 
-         AND revoked = false`,
-        [currentBurnBlock]
+         ${whereClause([
+           "renewal_height != 0",
+           "renewal_height <= $1",
+           "revoked = false",
+           ...buildNameListFilters(filters, countValues),
+         ])}`,
+        countValues
       );
       totalCount = parseInt(countResult.rows[0].count);
       cache.set(countCacheKey, totalCount, CACHE_TTL.NAME_COUNT);
     }
 
+    const values = [limit + 1, offset, currentBurnBlock];
+    const conditions = [
+      "renewal_height != 0",
+      "renewal_height <= $3",
+      "revoked = false",
+      ...buildNameListFilters(filters, values),
+      buildNameListKeyset(sort, order, cursorValues, values),
+    ];
+
     const result = await pool.query(
       `SELECT 
         name_string || '.' || namespace_string AS full_name,
@@ -264,21 +1074,19 @@ const nameHandlers = {
         renewal_height,
         stx_burn
        FROM ${schema}.names 
-       WHERE renewal_height != 0 
-       AND renewal_height <= $3
-       AND revoked = false
-       ORDER BY name_string || '.' || namespace_string ASC
+       ${whereClause(conditions)}
+       ORDER BY ${buildNameListOrder(sort, order)}
        LIMIT $1 OFFSET $2`,
-      [limit, offset, currentBurnBlock]
+      values
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
       total: totalCount,
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      names: result.rows,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, nameListCursor(sort, order)),
     };
 
     cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
@@ -287,8 +1095,24 @@ const nameHandlers = {
   },
 
   getRevokedNames: async (request, reply, { schema, network }) => {
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `revoked_names_${network}_${limit}_${offset}`;
+    const listOptions = parseNameListOptions(request.query);
+
+    if (listOptions.error) {
+      return reply.status(400).send({ error: listOptions.error });
+    }
+
+    const { sort, order, filters } = listOptions;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      nameListCursor(sort, order)
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+    const filterKey = JSON.stringify(filters);
+
+    const cacheKey = `revoked_names_${network}_${limit}_${offset}_${cursor}_${sort}_${order}_${filterKey}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -298,17 +1122,30 @@ const nameHandlers = {
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
     const pool = getPool();
 
-    const countCacheKey = `revoked_names_count_${network}`;
+    const countCacheKey = `revoked_names_count_${network}_${filterKey}`;
     let totalCount = cache.get(countCacheKey);
 
     if (totalCount === undefined) {
+      const countValues = [];
       const countResult = await pool.query(
-        `SELECT COUNT(*) FROM ${schema}.names WHERE revoked = true`
+        `SELECT COUNT(*) FROM ${schema}.names 
+         ${whereClause([
+           "revoked = true",
+           ...buildNameListFilters(filters, countValues),
+         ])}`,
+        countValues
       );
       totalCount = parseInt(countResult.rows[0].count);
       cache.set(countCacheKey, totalCount, CACHE_TTL.NAME_COUNT * 2);
     }
 
+    const values = [limit + 1, offset];
+    const conditions = [
+      "revoked = true",
+      ...buildNameListFilters(filters, values),
+      buildNameListKeyset(sort, order, cursorValues, values),
+    ];
+
     const result = await pool.query(
       `SELECT 
         name_string || '.' || namespace_string AS full_name,
@@ -319,19 +1156,19 @@ const nameHandlers = {
         renewal_height,
         stx_burn
        FROM ${schema}.names 
-       WHERE revoked = true
-       ORDER BY name_string || '.' || namespace_string ASC
+       ${whereClause(conditions)}
+       ORDER BY ${buildNameListOrder(sort, order)}
        LIMIT $1 OFFSET $2`,
-      [limit, offset]
+      values
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
       total: totalCount,
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      names: result.rows,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, nameListCursor(sort, order)),
     };
 
     cache.set(cacheKey, response, CACHE_TTL.NAME_LIST * 2);
@@ -339,10 +1176,26 @@ const nameHandlers = {
     reply.send(response);
   },
 
-  getValidNamesByAddress: async (request, reply, { schema, network }) => {
-    const { address } = request.params;
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `valid_names_by_address_${network}_${address}_${limit}_${offset}`;
+  getExpiringNames: async (request, reply, { schema, network }) => {
+    const { namespace } = request.query;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      renewalCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const expirationWindow = parseExpirationWindow(request.query);
+
+    if (!expirationWindow) {
+      return reply.status(400).send({
+        error: `Invalid within. Must be between 1 and ${MAX_EXPIRING_WINDOW} blocks`,
+      });
+    }
+
+    const cacheKey = `expiring_names_${network}_${namespace}_${expirationWindow}_${limit}_${offset}_${cursor}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -350,53 +1203,87 @@ const nameHandlers = {
     }
 
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const expirationThreshold = currentBurnBlock + expirationWindow;
     const pool = getPool();
 
     const countResult = await pool.query(
-      `SELECT COUNT(*) FROM ${schema}.names 
-       WHERE owner = $1 
-       AND revoked = false
-       AND (renewal_height = 0 OR renewal_height > $2)`,
-      [address, currentBurnBlock]
+      `SELECT COUNT(*)
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE n.revoked = false
+       AND n.renewal_height != 0
+       AND n.renewal_height > $1
+       AND n.renewal_height <= $2
+       AND ($3::text IS NULL OR n.namespace_string = $3)
+       AND ${UNMANAGED_NAMESPACE_SQL}`,
+      [currentBurnBlock, expirationThreshold, namespace || null]
     );
 
     const result = await pool.query(
       `SELECT 
-        name_string || '.' || namespace_string AS full_name,
-        name_string,
-        namespace_string,
-        owner,
-        registered_at,
-        renewal_height,
-        stx_burn,
-        revoked
-       FROM ${schema}.names 
-       WHERE owner = $1 
-       AND revoked = false
-       AND (renewal_height = 0 OR renewal_height > $4)
-       ORDER BY name_string || '.' || namespace_string ASC
-       LIMIT $2 OFFSET $3`,
-      [address, limit, offset, currentBurnBlock]
+        n.name_string || '.' || n.namespace_string AS full_name,
+        n.name_string,
+        n.namespace_string,
+        n.owner,
+        n.registered_at,
+        n.renewal_height,
+        n.stx_burn,
+        n.renewal_height - $3 as blocks_until_expiry
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE n.revoked = false
+       AND n.renewal_height != 0
+       AND n.renewal_height > $3
+       AND n.renewal_height <= $4
+       AND ($5::text IS NULL OR n.namespace_string = $5)
+       AND ${UNMANAGED_NAMESPACE_SQL}
+       AND (
+         $6::integer IS NULL
+         OR (n.renewal_height, n.name_string || '.' || n.namespace_string)
+           > ($6, $7::text)
+       )
+       ORDER BY n.renewal_height ASC, full_name ASC
+       LIMIT $1 OFFSET $2`,
+      [
+        limit + 1,
+        offset,
+        currentBurnBlock,
+        expirationThreshold,
+        namespace || null,
+        cursorValues && cursorValues[0],
+        cursorValues && cursorValues[1],
+      ]
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
+      ...(namespace && { namespace }),
       total: parseInt(countResult.rows[0].count),
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      names: result.rows,
+      within: expirationWindow,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, renewalCursor),
     };
 
-    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 2);
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
 
     reply.send(response);
   },
 
-  getExpiredNamesByAddress: async (request, reply, { schema, network }) => {
-    const { address } = request.params;
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `expired_names_by_address_${network}_${address}_${limit}_${offset}`;
+  getGracePeriodNames: async (request, reply, { schema, network }) => {
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      renewalCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `grace_period_names_${network}_${limit}_${offset}_${cursor}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -404,54 +1291,76 @@ const nameHandlers = {
     }
 
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const graceStart = currentBurnBlock - GRACE_PERIOD_BLOCKS;
     const pool = getPool();
 
     const countResult = await pool.query(
-      `SELECT COUNT(*) FROM ${schema}.names 
-       WHERE owner = $1 
-       AND revoked = false
-       AND renewal_height != 0 
-       AND renewal_height <= $2`,
-      [address, currentBurnBlock]
+      `SELECT COUNT(*) 
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE ${GRACE_PERIOD_CONDITIONS}`,
+      [currentBurnBlock, graceStart]
     );
 
     const result = await pool.query(
       `SELECT 
-        name_string || '.' || namespace_string AS full_name,
-        name_string,
-        namespace_string,
-        owner,
-        registered_at,
-        renewal_height,
-        stx_burn
-       FROM ${schema}.names 
-       WHERE owner = $1 
-       AND revoked = false
-       AND renewal_height != 0 
-       AND renewal_height <= $4
-       ORDER BY name_string || '.' || namespace_string ASC
-       LIMIT $2 OFFSET $3`,
-      [address, limit, offset, currentBurnBlock]
+        n.name_string || '.' || n.namespace_string AS full_name,
+        n.name_string,
+        n.namespace_string,
+        n.owner,
+        n.registered_at,
+        n.renewal_height,
+        n.stx_burn,
+        n.renewal_height + ${GRACE_PERIOD_BLOCKS} AS grace_period_ends_at,
+        n.renewal_height + ${GRACE_PERIOD_BLOCKS} - $1 AS blocks_until_grace_ends
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE ${GRACE_PERIOD_CONDITIONS}
+       AND (
+         $5::bigint IS NULL
+         OR (n.renewal_height, n.name_string || '.' || n.namespace_string)
+           > ($5, $6::text)
+       )
+       ORDER BY n.renewal_height ASC, full_name ASC
+       LIMIT $3 OFFSET $4`,
+      [
+        currentBurnBlock,
+        graceStart,
+        limit + 1,
+        offset,
+        cursorValues && cursorValues[0],
+        cursorValues && cursorValues[1],
+      ]
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
       total: parseInt(countResult.rows[0].count),
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      names: result.rows,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, renewalCursor),
     };
 
-    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 2);
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
 
     reply.send(response);
   },
 
-  getExpiringNamesByAddress: async (request, reply, { schema, network }) => {
-    const { address } = request.params;
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `expiring_names_by_address_${network}_${address}_${limit}_${offset}`;
+  getRecentNames: async (request, reply, { schema, network }) => {
+    const { namespace } = request.query;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      registrationCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `recent_names_${network}_${namespace}_${limit}_${offset}_${cursor}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -459,59 +1368,93 @@ const nameHandlers = {
     }
 
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
-    const expirationWindow = 4320;
-    const expirationThreshold = currentBurnBlock + expirationWindow;
     const pool = getPool();
 
-    const countResult = await pool.query(
-      `SELECT COUNT(*) FROM ${schema}.names 
-       WHERE owner = $1 
-       AND revoked = false
-       AND renewal_height != 0 
-       AND renewal_height > $2
-       AND renewal_height <= $3`,
-      [address, currentBurnBlock, expirationThreshold]
-    );
-
     const result = await pool.query(
       `SELECT 
+        id,
         name_string || '.' || namespace_string AS full_name,
         name_string,
         namespace_string,
         owner,
         registered_at,
         renewal_height,
-        stx_burn,
-        renewal_height - $4 as blocks_until_expiry
+        stx_burn
        FROM ${schema}.names 
-       WHERE owner = $1 
-       AND revoked = false
-       AND renewal_height != 0 
-       AND renewal_height > $4
-       AND renewal_height <= $5
-       ORDER BY renewal_height ASC
-       LIMIT $2 OFFSET $3`,
-      [address, limit, offset, currentBurnBlock, expirationThreshold]
+       WHERE registered_at IS NOT NULL
+       AND ($3::text IS NULL OR namespace_string = $3)
+       AND ($4::bigint IS NULL OR (registered_at, id) < ($4, $5::bigint))
+       ORDER BY registered_at DESC, id DESC
+       LIMIT $1 OFFSET $2`,
+      [
+        limit + 1,
+        offset,
+        namespace || null,
+        cursorValues && cursorValues[0],
+        cursorValues && cursorValues[1],
+      ]
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
-      total: parseInt(countResult.rows[0].count),
+      ...(namespace && { namespace }),
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      names: result.rows,
+      limit: limit,
+      offset,
+      ...buildPage(result.rows, limit, registrationCursor),
     };
 
-    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 3);
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 4);
 
     reply.send(response);
   },
 
-  getRevokedNamesByAddress: async (request, reply, { schema, network }) => {
-    const { address } = request.params;
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `revoked_names_by_address_${network}_${address}_${limit}_${offset}`;
+  searchNames: async (request, reply, { schema, network }) => {
+    const { q, namespace, status } = request.query;
+    const searchQuery = typeof q === "string" ? q.trim().toLowerCase() : "";
+
+    if (!searchQuery) {
+      return reply
+        .status(400)
+        .send({ error: "Query parameter 'q' is required" });
+    }
+
+    if (searchQuery.length > SEARCH_MAX_QUERY_LENGTH) {
+      return reply.status(400).send({
+        error: `Query must be at most ${SEARCH_MAX_QUERY_LENGTH} characters`,
+      });
+    }
+
+    if (status && !Object.hasOwn(SEARCH_STATUS_FILTERS, status)) {
+      return reply.status(400).send({
+        error: `Invalid status. Valid statuses: ${Object.keys(
+          SEARCH_STATUS_FILTERS
+        ).join(", ")}`,
+      });
+    }
+
+    // "alice.bt" searches for "alice" within namespaces starting with "bt"
+    const dotIndex = searchQuery.indexOf(".");
+    const term = dotIndex < 0 ? searchQuery : searchQuery.slice(0, dotIndex);
+    const namespaceTerm = dotIndex < 0 ? null : searchQuery.slice(dotIndex + 1);
+
+    if (!term) {
+      return reply
+        .status(400)
+        .send({ error: "Query must include a name to search for" });
+    }
+
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      searchCursor,
+      SEARCH_DEFAULT_LIMIT
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `search_names_${network}_${searchQuery}_${namespace}_${status}_${limit}_${offset}_${cursor}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -520,38 +1463,595 @@ const nameHandlers = {
 
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
     const pool = getPool();
+    const fuzzy = await hasTrigramSupport(pool);
+
+    const search = {
+      term,
+      namespaceTerm,
+      namespace,
+      status,
+      fuzzy,
+      currentBurnBlock,
+    };
 
+    const countValues = [];
     const countResult = await pool.query(
-      `SELECT COUNT(*) FROM ${schema}.names 
-       WHERE owner = $1 
-       AND revoked = true`,
-      [address]
+      `SELECT COUNT(*) FROM ${schema}.names
+       WHERE ${buildSearchConditions(search, countValues)}`,
+      countValues
     );
 
+    const escapedTerm = escapeLikePattern(term);
+    const values = [
+      term,
+      `${escapedTerm}%`,
+      `%${escapedTerm}%`,
+      currentBurnBlock,
+    ];
+    const { param } = queryParams(values);
+    const whereClause = buildSearchConditions(search, values);
+
+    let keysetClause = "";
+    if (cursorValues) {
+      keysetClause = `WHERE ${keysetCondition(
+        ["-score", "LENGTH(name_string)", "name_string", "namespace_string"],
+        "asc",
+        [
+          `-${param(cursorValues[0])}::integer`,
+          `${param(cursorValues[1])}::integer`,
+          param(cursorValues[2]),
+          param(cursorValues[3]),
+        ]
+      )}`;
+    }
+
     const result = await pool.query(
-      `SELECT 
+      `SELECT * FROM (
+      SELECT
         name_string || '.' || namespace_string AS full_name,
         name_string,
         namespace_string,
         owner,
         registered_at,
         renewal_height,
-        stx_burn
-       FROM ${schema}.names 
+        stx_burn,
+        revoked,
+        CASE
+          WHEN revoked = true THEN false
+          WHEN renewal_height = 0 THEN true
+          WHEN renewal_height > $4 THEN true
+          ELSE false
+        END as is_valid,
+        CASE
+          WHEN name_string = $1 THEN 'exact'
+          WHEN name_string LIKE $2 THEN 'prefix'
+          WHEN name_string LIKE $3 THEN 'substring'
+          ${fuzzy ? "WHEN name_string % $1 THEN 'fuzzy'" : ""}
+          ELSE 'namespace'
+        END as match_type,
+        CASE
+          WHEN name_string = $1 THEN 100
+          WHEN name_string LIKE $2 THEN 80
+          WHEN name_string LIKE $3 THEN 60
+          ${
+            fuzzy
+              ? "WHEN name_string % $1 THEN 20 + ROUND(similarity(name_string, $1) * 30)"
+              : ""
+          }
+          ELSE 10
+        END as score
+       FROM ${schema}.names
+       WHERE ${whereClause}
+       ) matches
+       ${keysetClause}
+       ORDER BY score DESC, LENGTH(name_string) ASC, name_string ASC, namespace_string ASC
+       LIMIT ${param(limit + 1)} OFFSET ${param(offset)}`,
+      values
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      query: searchQuery,
+      fuzzy_matching: fuzzy,
+      total: parseInt(countResult.rows[0].count),
+      current_burn_block: currentBurnBlock,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, searchCursor),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.SEARCH);
+
+    reply.send(response);
+  },
+
+  getNamesByAddress: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { status, sort = "name", order = "asc" } = request.query;
+
+    const statuses = status ? status.split(",") : [];
+    if (statuses.some((value) => !NAME_STATUSES.includes(value))) {
+      return reply.status(400).send({
+        error: `Invalid status. Valid statuses: ${NAME_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (!ADDRESS_NAME_SORTS[sort]) {
+      return reply.status(400).send({
+        error: `Invalid sort. Valid sorts: ${Object.keys(
+          ADDRESS_NAME_SORTS
+        ).join(", ")}`,
+      });
+    }
+
+    if (order !== "asc" && order !== "desc") {
+      return reply
+        .status(400)
+        .send({ error: "Invalid order. Valid orders: asc, desc" });
+    }
+
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      sortCursor(sort, order)
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `names_by_address_${network}_${address}_${status}_${sort}_${order}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const addressNamesQuery = `SELECT 
+        n.name_string || '.' || n.namespace_string AS full_name,
+        n.name_string,
+        n.namespace_string,
+        n.owner,
+        n.registered_at,
+        n.renewal_height,
+        n.stx_burn,
+        n.revoked,
+        ${nameStatusSql("$2")} AS status
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE n.owner = $1`;
+
+    const countResult = await pool.query(
+      `SELECT status, COUNT(*)
+       FROM (${addressNamesQuery}) address_names
+       GROUP BY status`,
+      [address, currentBurnBlock]
+    );
+
+    const statusCounts = Object.fromEntries(
+      NAME_STATUSES.map((value) => [value, 0])
+    );
+    for (const row of countResult.rows) {
+      statusCounts[row.status] = parseInt(row.count);
+    }
+
+    const totalCount = (statuses.length > 0 ? statuses : NAME_STATUSES).reduce(
+      (total, value) => total + statusCounts[value],
+      0
+    );
+
+    const sortExpression = ADDRESS_NAME_SORTS[sort];
+    const direction = order === "desc" ? "DESC" : "ASC";
+
+    const result = await pool.query(
+      `SELECT * FROM (${addressNamesQuery}) address_names
+       WHERE ($3::text[] IS NULL OR status = ANY($3))
+       AND (
+         $6::text IS NULL
+         OR (${sortExpression}, full_name) ${order === "desc" ? "<" : ">"} (
+           ${sort === "name" ? "$6" : "$6::integer"},
+           $7
+         )
+       )
+       ORDER BY ${sortExpression} ${direction}, full_name ${direction}
+       LIMIT $4 OFFSET $5`,
+      [
+        address,
+        currentBurnBlock,
+        statuses.length > 0 ? statuses : null,
+        limit + 1,
+        offset,
+        cursorValues && String(cursorValues[0]),
+        cursorValues && cursorValues[1],
+      ]
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      total: totalCount,
+      status_counts: statusCounts,
+      current_burn_block: currentBurnBlock,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, sortCursor(sort, order)),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 2);
+
+    reply.send(response);
+  },
+
+  getValidNamesByAddress: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      fullNameCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `valid_names_by_address_${network}_${address}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM ${schema}.names 
+       WHERE owner = $1 
+       AND revoked = false
+       AND (renewal_height = 0 OR renewal_height > $2)`,
+      [address, currentBurnBlock]
+    );
+
+    const result = await pool.query(
+      `SELECT 
+        name_string || '.' || namespace_string AS full_name,
+        name_string,
+        namespace_string,
+        owner,
+        registered_at,
+        renewal_height,
+        stx_burn,
+        revoked
+       FROM ${schema}.names 
+       WHERE owner = $1 
+       AND revoked = false
+       AND (renewal_height = 0 OR renewal_height > $4)
+       AND ($5::text IS NULL OR name_string || '.' || namespace_string > $5)
+       ORDER BY name_string || '.' || namespace_string ASC
+       LIMIT $2 OFFSET $3`,
+      [
+        address,
+        limit + 1,
+        offset,
+        currentBurnBlock,
+        cursorValues && cursorValues[0],
+      ]
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      total: parseInt(countResult.rows[0].count),
+      current_burn_block: currentBurnBlock,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, fullNameCursor),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 2);
+
+    reply.send(response);
+  },
+
+  getExpiredNamesByAddress: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      fullNameCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `expired_names_by_address_${network}_${address}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM ${schema}.names 
+       WHERE owner = $1 
+       AND revoked = false
+       AND renewal_height != 0 
+       AND renewal_height <= $2`,
+      [address, currentBurnBlock]
+    );
+
+    const result = await pool.query(
+      `SELECT 
+        name_string || '.' || namespace_string AS full_name,
+        name_string,
+        namespace_string,
+        owner,
+        registered_at,
+        renewal_height,
+        stx_burn
+       FROM ${schema}.names 
+       WHERE owner = $1 
+       AND revoked = false
+       AND renewal_height != 0 
+       AND renewal_height <= $4
+       AND ($5::text IS NULL OR name_string || '.' || namespace_string > $5)
+       ORDER BY name_string || '.' || namespace_string ASC
+       LIMIT $2 OFFSET $3`,
+      [
+        address,
+        limit + 1,
+        offset,
+        currentBurnBlock,
+        cursorValues && cursorValues[0],
+      ]
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      total: parseInt(countResult.rows[0].count),
+      current_burn_block: currentBurnBlock,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, fullNameCursor),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 2);
+
+    reply.send(response);
+  },
+
+  getExpiringNamesByAddress: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      renewalCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const expirationWindow = parseExpirationWindow(request.query);
+
+    if (!expirationWindow) {
+      return reply.status(400).send({
+        error: `Invalid within. Must be between 1 and ${MAX_EXPIRING_WINDOW} blocks`,
+      });
+    }
+
+    const cacheKey = `expiring_names_by_address_${network}_${address}_${expirationWindow}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const expirationThreshold = currentBurnBlock + expirationWindow;
+    const pool = getPool();
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE n.owner = $1
+       AND n.revoked = false
+       AND n.renewal_height != 0
+       AND n.renewal_height > $2
+       AND n.renewal_height <= $3
+       AND ${UNMANAGED_NAMESPACE_SQL}`,
+      [address, currentBurnBlock, expirationThreshold]
+    );
+
+    const result = await pool.query(
+      `SELECT 
+        n.name_string || '.' || n.namespace_string AS full_name,
+        n.name_string,
+        n.namespace_string,
+        n.owner,
+        n.registered_at,
+        n.renewal_height,
+        n.stx_burn,
+        n.renewal_height - $4 as blocks_until_expiry
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE n.owner = $1
+       AND n.revoked = false
+       AND n.renewal_height != 0
+       AND n.renewal_height > $4
+       AND n.renewal_height <= $5
+       AND ${UNMANAGED_NAMESPACE_SQL}
+       AND (
+         $6::integer IS NULL
+         OR (n.renewal_height, n.name_string || '.' || n.namespace_string)
+           > ($6, $7::text)
+       )
+       ORDER BY n.renewal_height ASC, full_name ASC
+       LIMIT $2 OFFSET $3`,
+      [
+        address,
+        limit + 1,
+        offset,
+        currentBurnBlock,
+        expirationThreshold,
+        cursorValues && cursorValues[0],
+        cursorValues && cursorValues[1],
+      ]
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      total: parseInt(countResult.rows[0].count),
+      current_burn_block: currentBurnBlock,
+      within: expirationWindow,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, renewalCursor),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 3);
+
+    reply.send(response);
+  },
+
+  getGracePeriodNamesByAddress: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      renewalCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `grace_period_names_by_address_${network}_${address}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const graceStart = currentBurnBlock - GRACE_PERIOD_BLOCKS;
+    const pool = getPool();
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) 
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE ${GRACE_PERIOD_CONDITIONS}
+       AND n.owner = $3`,
+      [currentBurnBlock, graceStart, address]
+    );
+
+    const result = await pool.query(
+      `SELECT 
+        n.name_string || '.' || n.namespace_string AS full_name,
+        n.name_string,
+        n.namespace_string,
+        n.owner,
+        n.registered_at,
+        n.renewal_height,
+        n.stx_burn,
+        n.renewal_height + ${GRACE_PERIOD_BLOCKS} AS grace_period_ends_at,
+        n.renewal_height + ${GRACE_PERIOD_BLOCKS} - $1 AS blocks_until_grace_ends
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns
+         ON ns.namespace_string = n.namespace_string
+       WHERE ${GRACE_PERIOD_CONDITIONS}
+       AND n.owner = $7
+       AND (
+         $5::bigint IS NULL
+         OR (n.renewal_height, n.name_string || '.' || n.namespace_string)
+           > ($5, $6::text)
+       )
+       ORDER BY n.renewal_height ASC, full_name ASC
+       LIMIT $3 OFFSET $4`,
+      [
+        currentBurnBlock,
+        graceStart,
+        limit + 1,
+        offset,
+        cursorValues && cursorValues[0],
+        cursorValues && cursorValues[1],
+        address,
+      ]
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      total: parseInt(countResult.rows[0].count),
+      current_burn_block: currentBurnBlock,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, renewalCursor),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 2);
+
+    reply.send(response);
+  },
+
+  getRevokedNamesByAddress: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      fullNameCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `revoked_names_by_address_${network}_${address}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM ${schema}.names 
+       WHERE owner = $1 
+       AND revoked = true`,
+      [address]
+    );
+
+    const result = await pool.query(
+      `SELECT 
+        name_string || '.' || namespace_string AS full_name,
+        name_string,
+        namespace_string,
+        owner,
+        registered_at,
+        renewal_height,
+        stx_burn
+       FROM ${schema}.names 
        WHERE owner = $1 
        AND revoked = true
+       AND ($4::text IS NULL OR name_string || '.' || namespace_string > $4)
        ORDER BY name_string || '.' || namespace_string ASC
        LIMIT $2 OFFSET $3`,
-      [address, limit, offset]
+      [address, limit + 1, offset, cursorValues && cursorValues[0]]
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
       total: parseInt(countResult.rows[0].count),
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      names: result.rows,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, fullNameCursor),
     };
 
     cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
@@ -559,10 +2059,208 @@ const nameHandlers = {
     reply.send(response);
   },
 
+  getPrimaryNameByAddress: async (request, reply, { network }) => {
+    const { address } = request.params;
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+
+    const primaryName = await getPrimaryName(address, network);
+
+    if (!primaryName) {
+      return reply
+        .status(404)
+        .send({ error: "No valid names found for address" });
+    }
+
+    const { is_primary, ...nameData } = primaryName;
+
+    reply.send({
+      ...(network === "testnet" && { network: "testnet" }),
+      address,
+      current_burn_block: currentBurnBlock,
+      is_primary,
+      source: is_primary ? "primary" : "fallback",
+      name: nameData,
+    });
+  },
+
+  getPreordersByAddress: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      fullNameCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `preorders_by_address_${network}_${address}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    // Preorders that haven't been claimed yet; claimed ones show up as names.
+    let preorders = null;
+    if (await tableExists("name_preorders", network)) {
+      const preorderResult = await pool.query(
+        `${preorderQuery(schema, "p.buyer = $1 AND n.id IS NULL")}
+         ORDER BY p.created_at DESC NULLS FIRST, p.hashed_salted_fqn ASC
+         LIMIT $2`,
+        [address, PREORDER_LIST_MAX]
+      );
+
+      preorders = preorderResult.rows.map((row) =>
+        formatPreorder(row, currentBurnBlock)
+      );
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM ${schema}.names
+       WHERE preordered_by = $1`,
+      [address]
+    );
+
+    const result = await pool.query(
+      `SELECT
+        name_string || '.' || namespace_string AS full_name,
+        name_string,
+        namespace_string,
+        owner,
+        registered_at,
+        renewal_height,
+        stx_burn
+       FROM ${schema}.names
+       WHERE preordered_by = $1
+       AND ($4::text IS NULL OR name_string || '.' || namespace_string > $4)
+       ORDER BY name_string || '.' || namespace_string ASC
+       LIMIT $2 OFFSET $3`,
+      [address, limit + 1, offset, cursorValues && cursorValues[0]]
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      address,
+      current_burn_block: currentBurnBlock,
+      preorders,
+      total: parseInt(countResult.rows[0].count),
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, fullNameCursor),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST / 2);
+
+    reply.send(response);
+  },
+
+  getNamesByAddresses: async (request, reply, { schema, network }) => {
+    const { addresses, primary_only = false, limit = 50 } = request.body || {};
+
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      return reply
+        .status(400)
+        .send({ error: "Body must include a non-empty 'addresses' array" });
+    }
+
+    if (addresses.length > BATCH_MAX_ADDRESSES) {
+      return reply.status(400).send({
+        error: `A batch may contain at most ${BATCH_MAX_ADDRESSES} addresses`,
+      });
+    }
+
+    if (addresses.some((address) => typeof address !== "string")) {
+      return reply.status(400).send({ error: "Addresses must be strings" });
+    }
+
+    if (!isIntegerParam(limit)) {
+      return reply.status(400).send({ error: "limit must be an integer" });
+    }
+
+    const uniqueAddresses = [...new Set(addresses)];
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const primaryNames = await getPrimaryNames(uniqueAddresses, network);
+
+    const namesByAddress = new Map();
+
+    if (!primary_only) {
+      const safeLimit = clampLimit(limit);
+      const pool = getPool();
+
+      const result = await pool.query(
+        `SELECT * FROM (
+          SELECT 
+            name_string || '.' || namespace_string AS full_name,
+            name_string,
+            namespace_string,
+            owner,
+            registered_at,
+            renewal_height,
+            stx_burn,
+            COUNT(*) OVER (PARTITION BY owner) AS total,
+            ROW_NUMBER() OVER (
+              PARTITION BY owner
+              ORDER BY name_string || '.' || namespace_string ASC
+            ) AS position
+           FROM ${schema}.names 
+           WHERE owner = ANY($1)
+           AND revoked = false
+           AND (renewal_height = 0 OR renewal_height > $2)
+         ) ranked
+         WHERE position <= $3
+         ORDER BY owner, position`,
+        [uniqueAddresses, currentBurnBlock, safeLimit]
+      );
+
+      for (const { total, position, ...name } of result.rows) {
+        if (!namesByAddress.has(name.owner)) {
+          namesByAddress.set(name.owner, { total: parseInt(total), names: [] });
+        }
+        namesByAddress.get(name.owner).names.push(name);
+      }
+    }
+
+    const results = uniqueAddresses.map((address) => {
+      const primaryName = primaryNames.get(address) || null;
+
+      return {
+        address,
+        primary_name: primaryName && primaryName.full_name,
+        is_primary: primaryName ? primaryName.is_primary : false,
+        ...(!primary_only && {
+          total: namesByAddress.has(address)
+            ? namesByAddress.get(address).total
+            : 0,
+          names: namesByAddress.has(address)
+            ? namesByAddress.get(address).names
+            : [],
+        }),
+      };
+    });
+
+    reply.send({
+      ...(network === "testnet" && { network: "testnet" }),
+      current_burn_block: currentBurnBlock,
+      results,
+    });
+  },
+
   getNamesByNamespace: async (request, reply, { schema, network }) => {
     const { namespace } = request.params;
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `names_by_namespace_${network}_${namespace}_${limit}_${offset}`;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      nameCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `names_by_namespace_${network}_${namespace}_${limit}_${offset}_${cursor}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -604,18 +2302,118 @@ const nameHandlers = {
         stx_burn
        FROM ${schema}.names 
        WHERE namespace_string = $1
+       AND ($4::text IS NULL OR name_string > $4)
        ORDER BY name_string ASC
        LIMIT $2 OFFSET $3`,
-      [namespace, limit, offset]
+      [namespace, limit + 1, offset, cursorValues && cursorValues[0]]
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
       total: totalCount,
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      names: result.rows,
+      limit,
+      offset,
+      ...buildPage(result.rows, limit, nameCursor),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
+
+    reply.send(response);
+  },
+
+  getImportedNames: async (request, reply, { schema, network }) => {
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      importCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `imported_names_${network}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+
+    const { total, rows } = await queryImportedNames(getPool(), schema, {
+      limit,
+      offset,
+      cursorValues,
+    });
+
+    const page = buildPage(rows, limit, importCursor);
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      total,
+      current_burn_block: currentBurnBlock,
+      limit,
+      offset,
+      names: page.names.map((row) => formatImportedName(row, currentBurnBlock)),
+      next_cursor: page.next_cursor,
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
+
+    reply.send(response);
+  },
+
+  getImportedNamesByNamespace: async (request, reply, { schema, network }) => {
+    const { namespace } = request.params;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      importCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `imported_names_by_namespace_${network}_${namespace}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const namespaceResult = await pool.query(
+      `SELECT namespace_string, launched_at, lifetime
+       FROM ${schema}.namespaces
+       WHERE namespace_string = $1`,
+      [namespace]
+    );
+
+    if (namespaceResult.rows.length === 0) {
+      return reply.status(404).send({ error: "Namespace not found" });
+    }
+
+    const { total, rows } = await queryImportedNames(pool, schema, {
+      namespace,
+      limit,
+      offset,
+      cursorValues,
+    });
+
+    const page = buildPage(rows, limit, importCursor);
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      namespace: namespaceResult.rows[0],
+      total,
+      current_burn_block: currentBurnBlock,
+      limit,
+      offset,
+      names: page.names.map((row) => formatImportedName(row, currentBurnBlock)),
+      next_cursor: page.next_cursor,
     };
 
     cache.set(cacheKey, response, CACHE_TTL.NAME_LIST);
@@ -663,6 +2461,18 @@ const nameHandlers = {
 
   canNameBeRegistered: async (request, reply, { schema, network }) => {
     const { namespace, name } = request.params;
+    const { salt } = request.query;
+
+    if (salt !== undefined && !isHexSalt(salt)) {
+      return reply
+        .status(400)
+        .send({ error: "Invalid salt. Use the hex-encoded preorder salt" });
+    }
+
+    if (salt !== undefined && !(await tableExists("name_preorders", network))) {
+      return reply.status(501).send({ error: PREORDERS_NOT_INDEXED });
+    }
+
     const currentBurnBlock = await getCurrentBurnBlockHeight(network);
     const pool = getPool();
 
@@ -706,43 +2516,432 @@ const nameHandlers = {
       [name, namespace]
     );
 
-    if (nameResult.rows.length === 0) {
-      return reply.send({
-        ...(network === "testnet" && { network: "testnet" }),
-        can_register: true,
-        reason: "NAME_AVAILABLE",
+    const verdict = getRegistrationVerdict(
+      namespaceData,
+      nameResult.rows[0] || null,
+      currentBurnBlock
+    );
+
+    if (
+      request.query.suggest === "true" &&
+      (verdict.reason === "NAME_TAKEN" || verdict.reason === "NAME_IMPORTED")
+    ) {
+      const limit = parseSuggestionLimit(request.query);
+
+      if (limit === null) {
+        return reply
+          .status(400)
+          .send({ error: "Limit must be a positive integer" });
+      }
+
+      verdict.suggestions = await findNameSuggestions(pool, schema, {
+        name,
+        namespace,
+        currentBurnBlock,
+        limit,
       });
     }
 
-    const nameData = nameResult.rows[0];
+    // Preorders are hashed with the buyer's salt, so without it we can't tell
+    // whether the name has been preordered.
+    verdict.preorder_status = "unknown";
 
-    if (nameData.imported_at) {
-      return reply.send({
-        ...(network === "testnet" && { network: "testnet" }),
-        can_register: false,
-        reason: "NAME_IMPORTED",
-        current_owner: nameData.owner,
+    if (salt !== undefined) {
+      const hashedSaltedFqn = hashSaltedFqn(name, namespace, salt);
+      const preorderResult = await pool.query(
+        `${preorderQuery(schema, "p.hashed_salted_fqn = $1")}
+         ORDER BY p.created_at ASC NULLS LAST, p.buyer ASC`,
+        [hashedSaltedFqn]
+      );
+      const preorders = preorderResult.rows.map((row) =>
+        formatPreorder(row, currentBurnBlock)
+      );
+
+      // Reports the earliest preorder with this hash.
+      verdict.preorder_status =
+        preorders.length > 0 ? preorders[0].status : "none";
+      verdict.preorder = {
+        hashed_salted_fqn: hashedSaltedFqn,
+        preorders,
+      };
+    }
+
+    return reply.send({
+      ...(network === "testnet" && { network: "testnet" }),
+      ...verdict,
+    });
+  },
+
+  getNameSuggestions: async (request, reply, { schema, network }) => {
+    const { namespace, name } = request.params;
+
+    if (!isValidNameString(name)) {
+      return reply.status(400).send({
+        error:
+          "Invalid name. Names are 1-48 characters of lowercase letters, digits, '-' or '_'",
+      });
+    }
+
+    const limit = parseSuggestionLimit(request.query);
+
+    if (limit === null) {
+      return reply
+        .status(400)
+        .send({ error: "Limit must be a positive integer" });
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const namespaceResult = await pool.query(
+      `SELECT launched_at, namespace_manager
+       FROM ${schema}.namespaces 
+       WHERE namespace_string = $1`,
+      [namespace]
+    );
+
+    if (namespaceResult.rows.length === 0) {
+      return reply.status(404).send({ error: "Namespace not found" });
+    }
+
+    const namespaceData = namespaceResult.rows[0];
+
+    const nameResult = await pool.query(
+      `SELECT renewal_height, imported_at, owner
+       FROM ${schema}.names 
+       WHERE name_string = $1 AND namespace_string = $2`,
+      [name, namespace]
+    );
+
+    const verdict = namespaceData.launched_at
+      ? getRegistrationVerdict(
+          namespaceData,
+          nameResult.rows[0] || null,
+          currentBurnBlock
+        )
+      : { can_register: false, reason: "NAMESPACE_NOT_LAUNCHED" };
+
+    const suggestions = await findNameSuggestions(pool, schema, {
+      name,
+      namespace,
+      currentBurnBlock,
+      limit,
+    });
+
+    return reply.send({
+      ...(network === "testnet" && { network: "testnet" }),
+      current_burn_block: currentBurnBlock,
+      name,
+      namespace,
+      full_name: `${name}.${namespace}`,
+      ...verdict,
+      suggestions,
+    });
+  },
+
+  getNameAvailability: async (request, reply, { schema, network }) => {
+    const body = request.body || {};
+    const names = body.names;
+    const namespaces =
+      typeof body.namespace === "string" ? [body.namespace] : body.namespaces;
+
+    if (!Array.isArray(names) || names.length === 0) {
+      return reply
+        .status(400)
+        .send({ error: "Body must include a non-empty 'names' array" });
+    }
+
+    if (names.length > AVAILABILITY_MAX_NAMES) {
+      return reply.status(400).send({
+        error: `An availability check may contain at most ${AVAILABILITY_MAX_NAMES} names`,
+      });
+    }
+
+    if (
+      !Array.isArray(namespaces) ||
+      namespaces.length === 0 ||
+      !namespaces.every((namespace) => typeof namespace === "string")
+    ) {
+      return reply.status(400).send({
+        error:
+          "Body must include a 'namespace' or a non-empty 'namespaces' array",
+      });
+    }
+
+    if (namespaces.length > AVAILABILITY_MAX_NAMESPACES) {
+      return reply.status(400).send({
+        error: `An availability check may cover at most ${AVAILABILITY_MAX_NAMESPACES} namespaces`,
       });
     }
 
-    if (!namespaceData.namespace_manager && nameData.renewal_height > 0) {
-      const isExpired = nameData.renewal_height <= currentBurnBlock;
-      if (isExpired) {
-        return reply.send({
-          ...(network === "testnet" && { network: "testnet" }),
-          can_register: true,
-          reason: "NAME_EXPIRED",
-          previous_owner: nameData.owner,
-          expired_at: nameData.renewal_height,
+    const uniqueNamespaces = [...new Set(namespaces)];
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const namespaceResult = await pool.query(
+      `SELECT 
+        namespace_string,
+        launched_at,
+        namespace_manager,
+        price_function_base,
+        price_function_coeff,
+        price_function_buckets,
+        price_function_no_vowel_discount,
+        price_function_nonalpha_discount
+       FROM ${schema}.namespaces
+       WHERE namespace_string = ANY($1)`,
+      [uniqueNamespaces]
+    );
+
+    const namespaceRows = new Map(
+      namespaceResult.rows.map((row) => [row.namespace_string, row])
+    );
+
+    const lookups = [];
+    for (const namespace of uniqueNamespaces) {
+      const namespaceData = namespaceRows.get(namespace);
+      if (!namespaceData || !namespaceData.launched_at) continue;
+
+      for (const name of names) {
+        if (isValidNameString(name)) {
+          lookups.push({ name, namespace });
+        }
+      }
+    }
+
+    const nameResult = await pool.query(
+      `SELECT 
+        name_string || '.' || namespace_string AS full_name,
+        renewal_height,
+        imported_at,
+        owner
+       FROM ${schema}.names 
+       WHERE (name_string, namespace_string) IN (
+         SELECT * FROM UNNEST($1::text[], $2::text[])
+       )`,
+      [lookups.map((item) => item.name), lookups.map((item) => item.namespace)]
+    );
+
+    const nameRows = new Map(
+      nameResult.rows.map((row) => [row.full_name, row])
+    );
+
+    const results = [];
+    for (const namespace of uniqueNamespaces) {
+      const namespaceData = namespaceRows.get(namespace);
+
+      for (const name of names) {
+        const fullName = `${name}.${namespace}`;
+
+        if (!isValidNameString(name)) {
+          results.push({
+            name,
+            namespace,
+            full_name: fullName,
+            can_register: false,
+            reason: "INVALID_NAME",
+          });
+          continue;
+        }
+
+        if (!namespaceData) {
+          results.push({
+            name,
+            namespace,
+            full_name: fullName,
+            can_register: false,
+            reason: "NAMESPACE_NOT_FOUND",
+          });
+          continue;
+        }
+
+        if (!namespaceData.launched_at) {
+          results.push({
+            name,
+            namespace,
+            full_name: fullName,
+            can_register: false,
+            reason: "NAMESPACE_NOT_LAUNCHED",
+          });
+          continue;
+        }
+
+        const quote = computeNamePrice(name, namespaceData);
+
+        results.push({
+          name,
+          namespace,
+          full_name: fullName,
+          ...getRegistrationVerdict(
+            namespaceData,
+            nameRows.get(fullName) || null,
+            currentBurnBlock
+          ),
+          price_ustx: quote ? quote.price.toString() : null,
+          price_stx: quote ? formatUstxAsStx(quote.price) : null,
         });
       }
     }
 
     return reply.send({
       ...(network === "testnet" && { network: "testnet" }),
-      can_register: false,
-      reason: "NAME_TAKEN",
-      current_owner: nameData.owner,
+      current_burn_block: currentBurnBlock,
+      total: results.length,
+      available: results.filter((item) => item.can_register).length,
+      results,
+    });
+  },
+
+  getNamePrice: async (request, reply, { network }) => {
+    const { namespace, name } = request.params;
+
+    if (!isValidNameString(name)) {
+      return reply.status(400).send({
+        error:
+          "Invalid name. Names are 1-48 characters of lowercase letters, digits, '-' or '_'",
+      });
+    }
+
+    const namespaceInfo = await getNamespaceInfo(namespace, network);
+
+    if (!namespaceInfo) {
+      return reply.status(404).send({ error: "Namespace not found" });
+    }
+
+    const quote = computeNamePrice(name, namespaceInfo);
+
+    if (!quote) {
+      request.log.warn(`Namespace ${namespace} has no usable price function`);
+      return reply.status(422).send({
+        error: "Namespace has no price function, so its names can't be priced",
+      });
+    }
+
+    const isManaged =
+      namespaceInfo.namespace_manager !== "none" &&
+      namespaceInfo.namespace_manager !== null;
+
+    return reply.send({
+      ...(network === "testnet" && { network: "testnet" }),
+      name,
+      namespace,
+      full_name: `${name}.${namespace}`,
+      price_ustx: quote.price.toString(),
+      price_stx: formatUstxAsStx(quote.price),
+      is_managed: isManaged,
+      namespace_launched: !!namespaceInfo.launched_at,
+      price_function: quote.breakdown,
+    });
+  },
+
+  getNameRarity: async (request, reply, { network }) => {
+    const { full_name } = request.params;
+    const { profile = DEFAULT_RARITY_PROFILE } = request.query;
+    const [nameString, namespaceString] = full_name.split(".");
+
+    if (!isRarityProfile(profile)) {
+      return reply.status(400).send({
+        error: `Invalid profile. Use one of: ${getRarityProfiles().join(", ")}`,
+      });
+    }
+
+    const cacheKey = `name_rarity_${network}_${full_name}_${profile}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const nameInfo = await getNameInfo(nameString, namespaceString, network);
+
+    if (!nameInfo) {
+      return reply.status(404).send({ error: "Name not found" });
+    }
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      full_name,
+      name_string: nameString,
+      namespace_string: namespaceString,
+      ...scoreNameRarity(nameString, profile),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.RARITY);
+
+    reply.send(response);
+  },
+
+  getNameHistory: async (request, reply, { schema, network }) => {
+    const { full_name } = request.params;
+    const [nameString, namespaceString] = full_name.split(".");
+    const { limit, offset, cursorValues, error } = parsePagination(
+      request.query,
+      historyCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    if (!(await tableExists("name_history", network))) {
+      return reply
+        .status(501)
+        .send({ error: "Name history is not recorded on this server" });
+    }
+
+    const pool = getPool();
+
+    const result = await pool.query(
+      `SELECT 
+        id,
+        event,
+        owner,
+        previous_owner,
+        renewal_height,
+        previous_renewal_height,
+        zonefile,
+        burn_block_height,
+        txid,
+        recorded_at
+       FROM ${schema}.name_history
+       WHERE name_string = $1 AND namespace_string = $2
+       AND ($5::bigint IS NULL OR id > $5)
+       ORDER BY id ASC
+       LIMIT $3 OFFSET $4`,
+      [
+        nameString,
+        namespaceString,
+        limit + 1,
+        offset,
+        cursorValues && cursorValues[0],
+      ]
+    );
+
+    if (result.rows.length === 0 && !cursorValues && offset === 0) {
+      const nameResult = await pool.query(
+        `SELECT 1 FROM ${schema}.names 
+         WHERE name_string = $1 AND namespace_string = $2`,
+        [nameString, namespaceString]
+      );
+
+      if (nameResult.rows.length === 0) {
+        return reply.status(404).send({ error: "Name not found" });
+      }
+    }
+
+    const { names: history, next_cursor } = buildPage(
+      result.rows,
+      limit,
+      historyCursor
+    );
+
+    reply.send({
+      ...(network === "testnet" && { network: "testnet" }),
+      full_name,
+      limit: limit,
+      offset,
+      history,
+      next_cursor,
     });
   },
 
@@ -827,8 +3026,7 @@ const nameHandlers = {
       renewalHeight > currentBurnBlock ? renewalHeight - currentBurnBlock : 0;
 
     if (renewalHeight !== 0) {
-      const gracePeriod = 5000;
-      const expirationBlock = renewalHeight + gracePeriod;
+      const expirationBlock = renewalHeight + GRACE_PERIOD_BLOCKS;
 
       if (currentBurnBlock > expirationBlock) {
         status = "expired";
@@ -836,7 +3034,7 @@ const nameHandlers = {
       } else if (currentBurnBlock > renewalHeight) {
         status = "grace-period";
         needsRenewal = true;
-      } else if (currentBurnBlock > renewalHeight - 4320) {
+      } else if (currentBurnBlock > renewalHeight - EXPIRING_SOON_WINDOW) {
         status = "expiring-soon";
         needsRenewal = true;
       }
@@ -910,8 +3108,6 @@ const nameHandlers = {
       });
     }
 
-    let renewalHeight = nameData.renewal_height;
-
     if (lifetime === 0) {
       return reply.send({
         ...(network === "testnet" && { network: "testnet" }),
@@ -922,12 +3118,14 @@ const nameHandlers = {
       });
     }
 
-    if (renewalHeight === 0 && nameData.imported_at) {
-      renewalHeight = launched_at + lifetime;
-    }
+    const renewalHeight = getEffectiveRenewalHeight(nameData, {
+      launched_at,
+      lifetime,
+    });
 
     const isWithinValidPeriod =
-      renewalHeight === 0 || currentBurnBlock <= renewalHeight + 5000;
+      renewalHeight === 0 ||
+      currentBurnBlock <= renewalHeight + GRACE_PERIOD_BLOCKS;
 
     return reply.send({
       ...(network === "testnet" && { network: "testnet" }),
@@ -1,32 +1,174 @@
 import { getCurrentBurnBlockHeight } from "../burnblock-service.js";
 import cache from "../cache.js";
 import { getPool } from "../db.js";
-import { getNamespaceInfo } from "../query-utils.js";
+import { giniCoefficient } from "../distribution-utils.js";
+import {
+  buildPage,
+  columnExists,
+  getNamespaceInfo,
+  keyset,
+  nameStatusSql,
+  parsePagination,
+  tableExists,
+} from "../query-utils.js";
+import {
+  DEFAULT_RARITY_PROFILE,
+  getRarityProfiles,
+  isRarityProfile,
+  scoreNameRarity,
+} from "../rarity-engine.js";
 
 const CACHE_TTL = {
   NAMESPACE_LIST: 1800,
   NAMESPACE_COUNT: 3600,
+  HOLDERS: 300,
+  MANAGER: 300,
 };
 
+const TOP_HOLDERS_COUNT = 10;
+const NAMESPACE_LAUNCHABILITY_TTL = 52595;
+// No "preordered" state: a namespace preorder only holds
+// hash160(namespace + salt), so the namespace isn't known until its reveal.
+const NAMESPACE_STATES = ["revealed", "launched", "expired"];
+
+// Lifecycle columns for `namespaces`. A revealed namespace has to launch
+// within NAMESPACE_LAUNCHABILITY_TTL blocks of its reveal or it expires.
+// Deployments without `revealed_at` can't tell the two apart, so unlaunched
+// namespaces are reported as revealed with no deadline.
+function namespaceLifecycleColumns(hasRevealedAt, currentBurnBlock) {
+  if (!hasRevealedAt) {
+    return `NULL::integer AS revealed_at,
+        ${namespaceStateSql(false, currentBurnBlock)} AS state,
+        NULL::integer AS reveal_deadline`;
+  }
+
+  return `revealed_at,
+        ${namespaceStateSql(true, currentBurnBlock)} AS state,
+        CASE WHEN launched_at IS NULL
+          THEN revealed_at + ${NAMESPACE_LAUNCHABILITY_TTL}
+        END AS reveal_deadline`;
+}
+
+function namespaceStateSql(hasRevealedAt, currentBurnBlock) {
+  return `CASE
+          WHEN launched_at IS NOT NULL THEN 'launched'
+          ${
+            hasRevealedAt
+              ? `WHEN revealed_at IS NOT NULL
+            AND ${currentBurnBlock} >= revealed_at + ${NAMESPACE_LAUNCHABILITY_TTL}
+          THEN 'expired'`
+              : ""
+          }
+          ELSE 'revealed'
+        END`;
+}
+
+// Names an owner still holds: not revoked and not past the grace period.
+function heldNamesSql(schema) {
+  return `SELECT n.owner, COUNT(*) AS names
+     FROM ${schema}.names n
+     JOIN ${schema}.namespaces ns ON ns.namespace_string = n.namespace_string
+     WHERE n.namespace_string = $1
+     AND n.owner IS NOT NULL
+     AND ${nameStatusSql("$2")} NOT IN ('revoked', 'expired')
+     GROUP BY n.owner`;
+}
+
+// Holders are ranked by names held, most first, then by owner.
+const holderCursor = keyset("holders", ["integer", "string"], (row) => [
+  parseInt(row.names),
+  row.owner,
+]);
+
+// Rarest first, then shorter names, then by name in byte order, matching
+// `name_rarity_ranking_idx`.
+const rarityCursor = (profile) =>
+  keyset(`rarity_${profile}`, ["integer", "integer", "string"], (row) => [
+    row.rarity_score,
+    parseInt(row.name_length),
+    row.name_string,
+  ]);
+
+const managedNamespaceCursor = keyset(
+  "managed_namespaces",
+  ["string"],
+  (row) => [row.namespace_string]
+);
+
+function isManaged(namespaceManager) {
+  return namespaceManager !== null && namespaceManager !== "none";
+}
+
+// What the manager of a namespace can still do. Managers register names
+// directly and their names never expire; handing over management needs a
+// transferable manager that hasn't been frozen.
+function formatManagement(row) {
+  const managed = isManaged(row.namespace_manager);
+  const frozen = row.manager_frozen === true;
+
+  return {
+    manager: managed ? row.namespace_manager : null,
+    managed,
+    manager_transferable: row.manager_transferable,
+    manager_frozen: row.manager_frozen,
+    can_update_price_function: row.can_update_price_function,
+    capabilities: {
+      register_names: managed,
+      transfer_management:
+        managed && row.manager_transferable === true && !frozen,
+      update_price_function: row.can_update_price_function === true,
+      names_expire: !managed,
+    },
+  };
+}
+
+// `manager_frozen` is only present where the built-in indexer wrote the table.
+async function managerFrozenColumn(network) {
+  return (await columnExists("namespaces", "manager_frozen", network))
+    ? "ns.manager_frozen"
+    : "NULL::boolean AS manager_frozen";
+}
+
+function roundRatio(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
 const namespaceHandlers = {
   getAllNamespaces: async (request, reply, { schema, network }) => {
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `all_namespaces_${network}_${limit}_${offset}`;
+    const { limit = 50, offset = 0, state } = request.query;
+
+    if (state !== undefined && !NAMESPACE_STATES.includes(state)) {
+      return reply.status(400).send({
+        error: `Invalid state. Use one of: ${NAMESPACE_STATES.join(", ")}`,
+      });
+    }
+
+    // Lifecycle states move with the burn height, so it is part of every key.
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const cacheKey = `all_namespaces_${network}_${currentBurnBlock}_${limit}_${offset}_${state}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
       return reply.send(cachedResult);
     }
 
-    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
     const pool = getPool();
 
-    const countCacheKey = `namespaces_count_${network}`;
+    const hasRevealedAt = await columnExists(
+      "namespaces",
+      "revealed_at",
+      network
+    );
+    const stateSql = namespaceStateSql(hasRevealedAt, currentBurnBlock);
+
+    const countCacheKey = `namespaces_count_${network}_${currentBurnBlock}_${state}`;
     let totalCount = cache.get(countCacheKey);
 
     if (totalCount === undefined) {
       const countResult = await pool.query(
-        `SELECT COUNT(*) FROM ${schema}.namespaces`
+        `SELECT COUNT(*) FROM ${schema}.namespaces
+         WHERE ($1::text IS NULL OR ${stateSql} = $1)`,
+        [state || null]
       );
       totalCount = parseInt(countResult.rows[0].count);
       cache.set(countCacheKey, totalCount, CACHE_TTL.NAMESPACE_COUNT);
@@ -35,6 +177,7 @@ const namespaceHandlers = {
     const result = await pool.query(
       `SELECT 
         namespace_string,
+        ${namespaceLifecycleColumns(hasRevealedAt, currentBurnBlock)},
         launched_at,
         lifetime,
         namespace_manager,
@@ -49,16 +192,18 @@ const namespaceHandlers = {
         (SELECT COUNT(*) 
          FROM ${schema}.names 
          WHERE names.namespace_string = namespaces.namespace_string 
-         AND (renewal_height = 0 OR renewal_height > $3)
+         AND (renewal_height = 0 OR renewal_height > $1)
          AND revoked = false) as active_names
        FROM ${schema}.namespaces 
+       WHERE ($2::text IS NULL OR ${stateSql} = $2)
        ORDER BY namespace_string ASC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset, currentBurnBlock]
+       LIMIT $3 OFFSET $4`,
+      [currentBurnBlock, state || null, limit, offset]
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
+      ...(state && { state }),
       total: totalCount,
       current_burn_block: currentBurnBlock,
       limit: parseInt(limit),
@@ -73,19 +218,25 @@ const namespaceHandlers = {
 
   getNamespace: async (request, reply, { schema, network }) => {
     const { namespace } = request.params;
-    const cacheKey = `namespace_details_${network}_${namespace}`;
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const cacheKey = `namespace_details_${network}_${currentBurnBlock}_${namespace}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
       return reply.send(cachedResult);
     }
 
-    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
     const pool = getPool();
+    const hasRevealedAt = await columnExists(
+      "namespaces",
+      "revealed_at",
+      network
+    );
 
     const result = await pool.query(
       `SELECT 
         namespace_string,
+        ${namespaceLifecycleColumns(hasRevealedAt, currentBurnBlock)},
         launched_at,
         lifetime,
         namespace_manager,
@@ -140,8 +291,134 @@ const namespaceHandlers = {
 
   getRarestNames: async (request, reply, { schema, network }) => {
     const { namespace } = request.params;
-    const { limit = 50, offset = 0 } = request.query;
-    const cacheKey = `rarest_names_${network}_${namespace}_${limit}_${offset}`;
+    const { profile = DEFAULT_RARITY_PROFILE } = request.query;
+
+    if (!isRarityProfile(profile)) {
+      return reply.status(400).send({
+        error: `Invalid profile. Use one of: ${getRarityProfiles().join(", ")}`,
+      });
+    }
+
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      rarityCursor(profile)
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    if (!(await tableExists("name_rarity", network))) {
+      return reply
+        .status(501)
+        .send({ error: "Name rarity is not indexed on this server" });
+    }
+
+    const cacheKey = `rarest_names_${network}_${namespace}_${profile}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+
+    const namespaceInfo = await getNamespaceInfo(namespace, network);
+
+    if (!namespaceInfo) {
+      return reply.status(404).send({ error: "Namespace not found" });
+    }
+
+    const pool = getPool();
+
+    const rankedNamesSql = `FROM ${schema}.name_rarity r
+       JOIN ${schema}.names n
+         ON n.name_string = r.name_string
+         AND n.namespace_string = r.namespace_string
+       WHERE r.namespace_string = $1
+       AND r.profile = $2
+       AND n.revoked = false
+       AND (n.renewal_height = 0 OR n.renewal_height > $3)`;
+
+    const countResult = await pool.query(`SELECT COUNT(*) ${rankedNamesSql}`, [
+      namespace,
+      profile,
+      currentBurnBlock,
+    ]);
+
+    const result = await pool.query(
+      `SELECT
+        n.name_string,
+        n.namespace_string,
+        n.owner,
+        LENGTH(n.name_string) AS name_length,
+        r.rarity_score
+       ${rankedNamesSql}
+       AND (
+         $6::integer IS NULL
+         OR (r.rarity_score, LENGTH(r.name_string), r.name_string COLLATE "C")
+           > ($6, $7::integer, $8 COLLATE "C")
+       )
+       ORDER BY r.rarity_score, LENGTH(r.name_string), r.name_string COLLATE "C"
+       LIMIT $4 OFFSET $5`,
+      [
+        namespace,
+        profile,
+        currentBurnBlock,
+        limit + 1,
+        offset,
+        cursorValues && String(cursorValues[0]),
+        cursorValues && String(cursorValues[1]),
+        cursorValues && cursorValues[2],
+      ]
+    );
+
+    const { rare_names, next_cursor } = buildPage(
+      result.rows,
+      limit,
+      rarityCursor(profile),
+      "rare_names"
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      total: parseInt(countResult.rows[0].count),
+      current_burn_block: currentBurnBlock,
+      profile,
+      limit,
+      offset,
+      rare_names: rare_names.map((row) => {
+        const { rarity_classification, has_pattern, is_palindrome } =
+          scoreNameRarity(row.name_string, profile);
+
+        return {
+          ...row,
+          name_length: parseInt(row.name_length),
+          rarity_classification,
+          has_pattern,
+          is_palindrome,
+        };
+      }),
+      next_cursor,
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.NAMESPACE_LIST);
+
+    reply.send(response);
+  },
+
+  getNamespaceHolders: async (request, reply, { schema, network }) => {
+    const { namespace } = request.params;
+    const { limit, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      holderCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `namespace_holders_${network}_${namespace}_${limit}_${cursor}`;
 
     const cachedResult = cache.get(cacheKey);
     if (cachedResult) {
@@ -157,78 +434,199 @@ const namespaceHandlers = {
       return reply.status(404).send({ error: "Namespace not found" });
     }
 
-    const countResult = await pool.query(
-      `SELECT COUNT(*) FROM ${schema}.names WHERE namespace_string = $1`,
-      [namespace]
+    const metricsResult = await pool.query(
+      `WITH holdings AS (${heldNamesSql(schema)}),
+      ranked AS (
+        SELECT
+          names,
+          ROW_NUMBER() OVER (ORDER BY names ASC) AS ascending_rank,
+          ROW_NUMBER() OVER (ORDER BY names DESC, owner ASC) AS rank
+        FROM holdings
+      )
+      SELECT
+        COUNT(*) AS unique_holders,
+        COALESCE(SUM(names), 0) AS total_names,
+        COALESCE(SUM(ascending_rank * names), 0) AS weighted_sum,
+        COALESCE(SUM(names) FILTER (WHERE rank <= ${TOP_HOLDERS_COUNT}), 0) AS top_names
+      FROM ranked`,
+      [namespace, currentBurnBlock]
     );
 
     const result = await pool.query(
-      `
-      WITH name_metrics AS (
-        SELECT 
-          name_string,
-          namespace_string,
+      `SELECT * FROM (
+        SELECT
           owner,
-          LENGTH(name_string) as name_length,
-          CASE 
-            WHEN name_string ~ '^[0-9]+$' THEN true 
-            WHEN name_string ~ '^[a-z]+$' THEN true
-            WHEN name_string ~ '[^a-z0-9]' THEN true
-            ELSE false 
-          END as has_pattern,
-          name_string = REVERSE(name_string) as is_palindrome
-        FROM ${schema}.names 
-        WHERE namespace_string = $1
-        AND revoked = false
-        AND (renewal_height = 0 OR renewal_height > $4)
-      )
-      SELECT 
-        name_string,
-        namespace_string,
-        owner,
-        name_length,
-        has_pattern,
-        is_palindrome,
-        CASE
-          WHEN name_length = 1 THEN 10
-          WHEN name_length = 2 THEN 20
-          WHEN name_length = 3 THEN 30
-          WHEN name_length <= 5 THEN 50
-          WHEN name_length <= 7 THEN 70
-          ELSE 90
-        END - 
-        CASE WHEN is_palindrome THEN 5 ELSE 0 END -
-        CASE WHEN has_pattern THEN 5 ELSE 0 END
-        as rarity_score
-      FROM name_metrics
-      ORDER BY rarity_score ASC, name_length ASC
-      LIMIT $2 OFFSET $3
-    `,
-      [namespace, limit, offset, currentBurnBlock]
+          names,
+          ROW_NUMBER() OVER (ORDER BY names DESC, owner ASC) AS rank
+        FROM (${heldNamesSql(schema)}) holdings
+      ) ranked
+      WHERE $3::bigint IS NULL
+        OR names < $3
+        OR (names = $3 AND owner > $4)
+      ORDER BY names DESC, owner ASC
+      LIMIT $5`,
+      [
+        namespace,
+        currentBurnBlock,
+        cursorValues && cursorValues[0],
+        cursorValues && cursorValues[1],
+        limit + 1,
+      ]
+    );
+
+    const metrics = metricsResult.rows[0];
+    const uniqueHolders = parseInt(metrics.unique_holders);
+    const totalNames = parseInt(metrics.total_names);
+    const share = (names) => (totalNames > 0 ? names / totalNames : 0);
+
+    const { holders, next_cursor } = buildPage(
+      result.rows,
+      limit,
+      holderCursor,
+      "holders"
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      current_burn_block: currentBurnBlock,
+      namespace,
+      total_names: totalNames,
+      unique_holders: uniqueHolders,
+      top_10_share: roundRatio(share(parseInt(metrics.top_names))),
+      gini: roundRatio(
+        giniCoefficient(
+          uniqueHolders,
+          totalNames,
+          parseInt(metrics.weighted_sum)
+        )
+      ),
+      limit,
+      holders: holders.map((row) => ({
+        rank: parseInt(row.rank),
+        owner: row.owner,
+        names: parseInt(row.names),
+        share: roundRatio(share(parseInt(row.names))),
+      })),
+      next_cursor,
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.HOLDERS);
+
+    reply.send(response);
+  },
+
+  getManagedNamespaces: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { limit, offset, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      managedNamespaceCursor
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `managed_namespaces_${network}_${address}_${limit}_${offset}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM ${schema}.namespaces WHERE namespace_manager = $1`,
+      [address]
+    );
+
+    const result = await pool.query(
+      `SELECT
+        ns.namespace_string,
+        ns.launched_at,
+        ns.lifetime,
+        ns.namespace_manager,
+        ns.manager_transferable,
+        ${await managerFrozenColumn(network)},
+        ns.can_update_price_function,
+        (SELECT COUNT(*) FROM ${schema}.names n WHERE n.namespace_string = ns.namespace_string) AS total_names,
+        (SELECT COUNT(*)
+         FROM ${schema}.names n
+         WHERE n.namespace_string = ns.namespace_string
+         AND n.revoked = true) AS revoked_names
+       FROM ${schema}.namespaces ns
+       WHERE ns.namespace_manager = $1
+       AND ($4::text IS NULL OR ns.namespace_string > $4)
+       ORDER BY ns.namespace_string ASC
+       LIMIT $2 OFFSET $3`,
+      [address, limit + 1, offset, cursorValues && cursorValues[0]]
+    );
+
+    const { namespaces, next_cursor } = buildPage(
+      result.rows,
+      limit,
+      managedNamespaceCursor,
+      "namespaces"
     );
 
     const response = {
       ...(network === "testnet" && { network: "testnet" }),
+      manager: address,
       total: parseInt(countResult.rows[0].count),
       current_burn_block: currentBurnBlock,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      rare_names: result.rows.map((name) => ({
-        ...name,
-        rarity_classification:
-          name.rarity_score <= 20
-            ? "Ultra Rare"
-            : name.rarity_score <= 40
-            ? "Rare"
-            : name.rarity_score <= 60
-            ? "Uncommon"
-            : name.rarity_score <= 80
-            ? "Common"
-            : "Very Common",
+      limit,
+      offset,
+      namespaces: namespaces.map((row) => ({
+        namespace_string: row.namespace_string,
+        launched_at: row.launched_at,
+        lifetime: row.lifetime,
+        total_names: parseInt(row.total_names),
+        revoked_names: parseInt(row.revoked_names),
+        ...formatManagement(row),
       })),
+      next_cursor,
     };
 
-    cache.set(cacheKey, response, CACHE_TTL.NAMESPACE_LIST);
+    cache.set(cacheKey, response, CACHE_TTL.MANAGER);
+
+    reply.send(response);
+  },
+
+  getNamespaceManager: async (request, reply, { schema, network }) => {
+    const { namespace } = request.params;
+    const cacheKey = `namespace_manager_${network}_${namespace}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const pool = getPool();
+
+    const result = await pool.query(
+      `SELECT
+        ns.namespace_string,
+        ns.namespace_manager,
+        ns.manager_transferable,
+        ${await managerFrozenColumn(network)},
+        ns.can_update_price_function
+       FROM ${schema}.namespaces ns
+       WHERE ns.namespace_string = $1`,
+      [namespace]
+    );
+
+    if (result.rows.length === 0) {
+      return reply.status(404).send({ error: "Namespace not found" });
+    }
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      namespace,
+      ...formatManagement(result.rows[0]),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.MANAGER);
 
     reply.send(response);
   },
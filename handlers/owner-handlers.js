@@ -0,0 +1,347 @@
+import { getCurrentBurnBlockHeight } from "../burnblock-service.js";
+import cache from "../cache.js";
+import { getPool } from "../db.js";
+import { formatUstxAsStx } from "../price-utils.js";
+import {
+  buildPage,
+  EFFECTIVE_RENEWAL_HEIGHT_SQL,
+  filterConditions,
+  getPrimaryName,
+  GRACE_PERIOD_BLOCKS,
+  getPrimaryNames,
+  keyset,
+  NAME_STATUSES,
+  nameStatusSql,
+  parsePagination,
+  queryParams,
+  ustxSumSql,
+} from "../query-utils.js";
+import { getAndValidateZonefile } from "../zonefile-utils.js";
+
+const CACHE_TTL = {
+  LEADERBOARD: 300,
+  SUMMARY: 60,
+  SUBDOMAINS: 600,
+};
+
+const SUMMARY_MAX_SUBDOMAINS = 100;
+
+// Owners rank by the sort's aggregate, largest first, then by address.
+const OWNER_SORTS = {
+  names: "names",
+  stx_burn: "stx_burn",
+  namespaces: "namespaces",
+};
+
+const ownerCursor = (sort) =>
+  keyset(sort, ["integer", "string"], (row) => [
+    String(row[OWNER_SORTS[sort]]),
+    row.owner,
+  ]);
+
+// Subdomains owned by `address` in the inline `subdomains` of valid names'
+// zonefiles. Zonefiles are stored hex-encoded, so the address's hex narrows
+// the scan before each candidate is decoded; external subdomain files are not
+// fetched.
+async function findOwnedSubdomains(pool, schema, address, currentBurnBlock) {
+  const result = await pool.query(
+    `SELECT name_string, namespace_string, owner, zonefile
+     FROM ${schema}.names
+     WHERE zonefile ILIKE $1
+     AND owner IS NOT NULL
+     AND revoked = false
+     AND (renewal_height = 0 OR renewal_height > $2)
+     ORDER BY name_string || '.' || namespace_string ASC`,
+    [`%${Buffer.from(address).toString("hex")}%`, currentBurnBlock]
+  );
+
+  const subdomains = [];
+
+  for (const row of result.rows) {
+    const zonefileResult = getAndValidateZonefile(row.zonefile, row.owner);
+    if (!zonefileResult.success || !zonefileResult.zonefile.subdomains) {
+      continue;
+    }
+
+    const parent = `${row.name_string}.${row.namespace_string}`;
+    for (const [subdomain, properties] of Object.entries(
+      zonefileResult.zonefile.subdomains
+    )) {
+      if (properties.owner === address) {
+        subdomains.push({ full_name: `${subdomain}.${parent}`, parent });
+      }
+    }
+  }
+
+  return subdomains;
+}
+
+// The zonefile scan is slow, so the summary only includes subdomains when
+// asked to and caches them on their own.
+async function getOwnedSubdomains(schema, address, network) {
+  const cacheKey = `address_subdomains_${network}_${address}`;
+
+  const cachedResult = cache.get(cacheKey);
+  if (cachedResult) return cachedResult;
+
+  const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+  const subdomains = await findOwnedSubdomains(
+    getPool(),
+    schema,
+    address,
+    currentBurnBlock
+  );
+
+  const result = {
+    total: subdomains.length,
+    subdomains: subdomains.slice(0, SUMMARY_MAX_SUBDOMAINS),
+  };
+
+  cache.set(cacheKey, result, CACHE_TTL.SUBDOMAINS);
+
+  return result;
+}
+
+const ownerHandlers = {
+  getTopOwners: async (request, reply, { schema, network }) => {
+    const { sort = "names", namespace } = request.query;
+
+    if (!OWNER_SORTS[sort]) {
+      return reply.status(400).send({
+        error: `Invalid sort. Use one of: ${Object.keys(OWNER_SORTS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const { limit, cursor, cursorValues, error } = parsePagination(
+      request.query,
+      ownerCursor(sort)
+    );
+
+    if (error) {
+      return reply.status(400).send({ error });
+    }
+
+    const cacheKey = `top_owners_${network}_${sort}_${namespace}_${limit}_${cursor}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const { values, param } = queryParams([currentBurnBlock]);
+
+    const conditions = [
+      "n.owner IS NOT NULL",
+      `${nameStatusSql("$1")} IN ('active', 'expiring-soon')`,
+      ...filterConditions({ "n.namespace_string =": namespace }, param),
+    ];
+
+    const sortColumn = OWNER_SORTS[sort];
+    const ownersSql = `SELECT
+        n.owner,
+        COUNT(*) AS names,
+        TRUNC(COALESCE(SUM(n.stx_burn), 0)) AS stx_burn,
+        COUNT(DISTINCT n.namespace_string) AS namespaces
+       FROM ${schema}.names n
+       JOIN ${schema}.namespaces ns ON ns.namespace_string = n.namespace_string
+       WHERE ${conditions.join("\n       AND ")}
+       GROUP BY n.owner`;
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM (${ownersSql}) owners`,
+      values
+    );
+
+    let keysetClause = "";
+    if (cursorValues) {
+      const sortValue = param(String(cursorValues[0]));
+      keysetClause = `WHERE ${sortColumn} < ${sortValue}::numeric
+        OR (${sortColumn} = ${sortValue}::numeric AND owner > ${param(
+        String(cursorValues[1])
+      )})`;
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM (
+        SELECT
+          owners.*,
+          ROW_NUMBER() OVER (ORDER BY ${sortColumn} DESC, owner ASC) AS rank
+        FROM (${ownersSql}) owners
+      ) ranked
+      ${keysetClause}
+      ORDER BY ${sortColumn} DESC, owner ASC
+      LIMIT ${param(limit + 1)}`,
+      values
+    );
+
+    const { owners, next_cursor } = buildPage(
+      result.rows,
+      limit,
+      ownerCursor(sort),
+      "owners"
+    );
+
+    const primaryNames = await getPrimaryNames(
+      owners.map((row) => row.owner),
+      network
+    );
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      current_burn_block: currentBurnBlock,
+      sort,
+      ...(namespace && { namespace }),
+      total: parseInt(countResult.rows[0].count),
+      limit,
+      owners: owners.map((row) => {
+        const primaryName = primaryNames.get(row.owner);
+
+        return {
+          rank: parseInt(row.rank),
+          owner: row.owner,
+          primary_name: primaryName ? primaryName.full_name : null,
+          names: parseInt(row.names),
+          namespaces: parseInt(row.namespaces),
+          stx_burn: String(row.stx_burn),
+          stx_burn_stx: formatUstxAsStx(BigInt(row.stx_burn)),
+        };
+      }),
+      next_cursor,
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.LEADERBOARD);
+
+    reply.send(response);
+  },
+
+  getAddressSummary: async (request, reply, { schema, network }) => {
+    const { address } = request.params;
+    const { include } = request.query;
+
+    if (include !== undefined && include !== "subdomains") {
+      return reply
+        .status(400)
+        .send({ error: "Invalid include. Use 'subdomains'" });
+    }
+
+    const subdomains =
+      include === "subdomains"
+        ? await getOwnedSubdomains(schema, address, network)
+        : null;
+    const cacheKey = `address_summary_${network}_${address}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send({ ...cachedResult, subdomains });
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const statusResult = await pool.query(
+      `SELECT
+        ${nameStatusSql("$2")} AS status,
+        COUNT(*) AS count,
+        ${ustxSumSql("n.stx_burn")} AS stx_burn
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns ON ns.namespace_string = n.namespace_string
+       WHERE n.owner = $1
+       GROUP BY 1`,
+      [address, currentBurnBlock]
+    );
+
+    // Imported names count from their namespace's launch until first renewed.
+    // Names in their grace period have the lowest renewal heights, so they
+    // come first.
+    const nextRenewalResult = await pool.query(
+      `SELECT
+        n.name_string || '.' || n.namespace_string AS full_name,
+        ${EFFECTIVE_RENEWAL_HEIGHT_SQL} AS renewal_height
+       FROM ${schema}.names n
+       JOIN ${schema}.namespaces ns ON ns.namespace_string = n.namespace_string
+       WHERE n.owner = $1
+       AND n.revoked = false
+       AND (ns.namespace_manager IS NULL OR ns.namespace_manager = 'none')
+       AND ${EFFECTIVE_RENEWAL_HEIGHT_SQL} != 0
+       AND ${EFFECTIVE_RENEWAL_HEIGHT_SQL} + ${GRACE_PERIOD_BLOCKS} >= $2
+       ORDER BY 2 ASC, 1 ASC
+       LIMIT 1`,
+      [address, currentBurnBlock]
+    );
+
+    const managedResult = await pool.query(
+      `SELECT n.namespace_string, COUNT(*) AS names
+       FROM ${schema}.names n
+       JOIN ${schema}.namespaces ns ON ns.namespace_string = n.namespace_string
+       WHERE n.owner = $1
+       AND n.revoked = false
+       AND ns.namespace_manager IS NOT NULL
+       AND ns.namespace_manager != 'none'
+       GROUP BY n.namespace_string
+       ORDER BY n.namespace_string ASC`,
+      [address]
+    );
+
+    const primaryName = await getPrimaryName(address, network);
+
+    const byStatus = Object.fromEntries(
+      NAME_STATUSES.map((status) => [status, 0])
+    );
+    let totalNames = 0;
+    let stxBurn = BigInt(0);
+
+    for (const row of statusResult.rows) {
+      byStatus[row.status] = parseInt(row.count);
+      totalNames += parseInt(row.count);
+      stxBurn += BigInt(row.stx_burn);
+    }
+
+    const nextRenewal = nextRenewalResult.rows[0];
+    const inGracePeriod =
+      nextRenewal !== undefined &&
+      nextRenewal.renewal_height < currentBurnBlock;
+    const renewalDeadline =
+      nextRenewal &&
+      nextRenewal.renewal_height + (inGracePeriod ? GRACE_PERIOD_BLOCKS : 0);
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      address,
+      current_burn_block: currentBurnBlock,
+      primary_name: primaryName ? primaryName.full_name : null,
+      names: {
+        total: totalNames,
+        by_status: byStatus,
+      },
+      stx_burn: stxBurn.toString(),
+      stx_burn_stx: formatUstxAsStx(stxBurn),
+      next_renewal: nextRenewal
+        ? {
+            full_name: nextRenewal.full_name,
+            renewal_height: nextRenewal.renewal_height,
+            in_grace_period: inGracePeriod,
+            deadline: renewalDeadline,
+            blocks_remaining: renewalDeadline - currentBurnBlock,
+          }
+        : null,
+      managed_names: {
+        total: managedResult.rows.reduce(
+          (total, row) => total + parseInt(row.names),
+          0
+        ),
+        namespaces: managedResult.rows.map((row) => row.namespace_string),
+      },
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.SUMMARY);
+
+    reply.send({ ...response, subdomains });
+  },
+};
+
+export default ownerHandlers;
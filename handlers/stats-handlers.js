@@ -0,0 +1,219 @@
+import { getCurrentBurnBlockHeight } from "../burnblock-service.js";
+import cache from "../cache.js";
+import { getPool } from "../db.js";
+import { formatUstxAsStx } from "../price-utils.js";
+import {
+  filterConditions,
+  NAME_STATUSES,
+  nameStatusSql,
+  queryParams,
+  ustxSumSql,
+  whereClause,
+} from "../query-utils.js";
+
+const CACHE_TTL = {
+  STATS: 300,
+};
+
+const DEFAULT_BUCKET_BLOCKS = 144;
+const MAX_BUCKETS = 5000;
+
+function parseBlockNumber(value) {
+  if (value === undefined) return undefined;
+
+  const height = parseInt(value);
+  return Number.isInteger(height) && height >= 0 && String(height) === value
+    ? height
+    : null;
+}
+
+function formatStxBurn(value) {
+  const ustx = BigInt(value || 0);
+
+  return {
+    stx_burn: ustx.toString(),
+    stx_burn_stx: formatUstxAsStx(ustx),
+  };
+}
+
+const statsHandlers = {
+  getStats: async (request, reply, { schema, network }) => {
+    const cacheKey = `stats_${network}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const statusResult = await pool.query(
+      `SELECT ${nameStatusSql("$1")} AS status, COUNT(*) AS count
+       FROM ${schema}.names n
+       LEFT JOIN ${schema}.namespaces ns ON ns.namespace_string = n.namespace_string
+       GROUP BY 1`,
+      [currentBurnBlock]
+    );
+
+    const totalsResult = await pool.query(
+      `SELECT
+        COUNT(*) AS total_names,
+        COUNT(*) FILTER (WHERE imported_at IS NOT NULL) AS imported_names,
+        COUNT(DISTINCT owner) AS unique_owners,
+        ${ustxSumSql("stx_burn")} AS stx_burn
+       FROM ${schema}.names`
+    );
+
+    const namespaceResult = await pool.query(
+      `SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE launched_at IS NOT NULL) AS launched
+       FROM ${schema}.namespaces`
+    );
+
+    const byStatus = Object.fromEntries(
+      NAME_STATUSES.map((status) => [status, 0])
+    );
+    for (const row of statusResult.rows) {
+      byStatus[row.status] = parseInt(row.count);
+    }
+
+    const totals = totalsResult.rows[0];
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      current_burn_block: currentBurnBlock,
+      names: {
+        total: parseInt(totals.total_names),
+        valid: byStatus.active + byStatus["expiring-soon"],
+        imported: parseInt(totals.imported_names),
+        by_status: byStatus,
+      },
+      namespaces: {
+        total: parseInt(namespaceResult.rows[0].total),
+        launched: parseInt(namespaceResult.rows[0].launched),
+      },
+      unique_owners: parseInt(totals.unique_owners),
+      ...formatStxBurn(totals.stx_burn),
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.STATS);
+
+    reply.send(response);
+  },
+
+  getRegistrationStats: async (request, reply, { schema, network }) => {
+    const { bucket = String(DEFAULT_BUCKET_BLOCKS), namespace } = request.query;
+    const bucketSize = parseBlockNumber(bucket);
+    const from = parseBlockNumber(request.query.from);
+    const to = parseBlockNumber(request.query.to);
+
+    if (!bucketSize) {
+      return reply
+        .status(400)
+        .send({ error: "Invalid bucket. Must be a positive number of blocks" });
+    }
+
+    if (from === null || to === null) {
+      return reply
+        .status(400)
+        .send({ error: "from and to must be burn block heights" });
+    }
+
+    const cacheKey = `registration_stats_${network}_${bucketSize}_${namespace}_${from}_${to}`;
+
+    const cachedResult = cache.get(cacheKey);
+    if (cachedResult) {
+      return reply.send(cachedResult);
+    }
+
+    const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+    const pool = getPool();
+
+    const { values, param } = queryParams();
+
+    const rangeWhereClause = whereClause([
+      "registered_at IS NOT NULL",
+      ...filterConditions(
+        {
+          "namespace_string =": namespace,
+          "registered_at >=": from,
+          "registered_at <=": to,
+        },
+        param
+      ),
+    ]);
+
+    const rangeResult = await pool.query(
+      `SELECT MIN(registered_at) AS first, MAX(registered_at) AS last
+       FROM ${schema}.names
+       ${rangeWhereClause}`,
+      values
+    );
+
+    const { first, last } = rangeResult.rows[0];
+    const firstBucket =
+      first === null ? null : Math.floor(first / bucketSize) * bucketSize;
+    const lastBucket =
+      last === null ? null : Math.floor(last / bucketSize) * bucketSize;
+
+    if (
+      firstBucket !== null &&
+      (lastBucket - firstBucket) / bucketSize + 1 > MAX_BUCKETS
+    ) {
+      return reply.status(400).send({
+        error: `Too many buckets (max: ${MAX_BUCKETS}). Use a larger bucket or narrow from and to`,
+      });
+    }
+
+    const bucketParam = param(bucketSize);
+    const result = await pool.query(
+      `SELECT
+        (registered_at / ${bucketParam}) * ${bucketParam} AS start_block,
+        COUNT(*) AS registrations,
+        ${ustxSumSql("stx_burn")} AS stx_burn
+       FROM ${schema}.names
+       ${rangeWhereClause}
+       GROUP BY 1
+       ORDER BY 1`,
+      values
+    );
+
+    // Empty buckets have no rows, so fill the gaps to keep the series evenly
+    // spaced for charting.
+    const rowsByStart = new Map(
+      result.rows.map((row) => [parseInt(row.start_block), row])
+    );
+    const buckets = [];
+
+    if (firstBucket !== null) {
+      for (let start = firstBucket; start <= lastBucket; start += bucketSize) {
+        const row = rowsByStart.get(start);
+
+        buckets.push({
+          start_block: start,
+          end_block: start + bucketSize - 1,
+          registrations: row ? parseInt(row.registrations) : 0,
+          ...formatStxBurn(row && row.stx_burn),
+        });
+      }
+    }
+
+    const response = {
+      ...(network === "testnet" && { network: "testnet" }),
+      current_burn_block: currentBurnBlock,
+      bucket: bucketSize,
+      ...(namespace && { namespace }),
+      from: from === undefined ? first : from,
+      to: to === undefined ? last : to,
+      buckets,
+    };
+
+    cache.set(cacheKey, response, CACHE_TTL.STATS);
+
+    reply.send(response);
+  },
+};
+
+export default statsHandlers;
@@ -1,7 +1,12 @@
 import { getCurrentBurnBlockHeight } from "../burnblock-service.js";
 import cache from "../cache.js";
 import { getPool } from "../db.js";
-import { getNamespaceInfo } from "../query-utils.js";
+import {
+  EXPIRING_SOON_WINDOW,
+  getEffectiveRenewalHeight,
+  getNamespaceInfo,
+  GRACE_PERIOD_BLOCKS,
+} from "../query-utils.js";
 
 const CACHE_TTL = {
   TOKEN_DATA: 300,
@@ -96,10 +101,7 @@ const tokenHandlers = {
       return reply.send(response);
     }
 
-    let renewalHeight = nameData.renewal_height;
-    if (renewalHeight === 0 && nameData.imported_at && lifetime !== 0) {
-      renewalHeight = launched_at + lifetime;
-    }
+    const renewalHeight = getEffectiveRenewalHeight(nameData, namespaceInfo);
 
     if (lifetime === 0) {
       const response = {
@@ -116,14 +118,15 @@ const tokenHandlers = {
     }
 
     const isWithinValidPeriod =
-      renewalHeight === 0 || currentBurnBlock <= renewalHeight + 5000;
+      renewalHeight === 0 ||
+      currentBurnBlock <= renewalHeight + GRACE_PERIOD_BLOCKS;
 
     let status = "active";
     if (!isWithinValidPeriod) {
       status = "expired";
     } else if (currentBurnBlock > renewalHeight) {
       status = "grace-period";
-    } else if (currentBurnBlock > renewalHeight - 4320) {
+    } else if (currentBurnBlock > renewalHeight - EXPIRING_SOON_WINDOW) {
       status = "expiring-soon";
     }
 
@@ -0,0 +1,264 @@
+import {
+  bufferToString,
+  decodeClarityHex,
+  toAmount,
+  toHeight,
+} from "./clarity.js";
+import { recordNameRarity } from "./name-rarity.js";
+
+const NAME_PROPERTY_TOPICS = [
+  "new-name",
+  "new-airdrop",
+  "transfer-name",
+  "renew-name",
+];
+
+// Pulls the BNS-V2 print events out of a `/new_block` payload, in the order
+// the node emitted them. Events from aborted transactions are skipped. Only
+// the BNS-V2 contract's own prints are read, so zonefiles set through the
+// separate zonefile-resolver contract are not indexed.
+export function extractBnsEvents(block, contractId) {
+  return (block.events || [])
+    .filter(
+      (event) =>
+        event.type === "contract_event" &&
+        event.committed !== false &&
+        event.contract_event &&
+        event.contract_event.contract_identifier === contractId &&
+        event.contract_event.topic === "print"
+    )
+    .map((event) => ({
+      txid: event.txid,
+      event_index: event.event_index,
+      value: decodeClarityHex(event.contract_event.raw_value),
+    }));
+}
+
+// Name events carry `name: { name, namespace }`; zonefile updates may carry
+// the two buffers at the top level instead.
+function readFullName(value) {
+  const source =
+    value.name && typeof value.name === "object" ? value.name : value;
+
+  return {
+    name: bufferToString(source.name),
+    namespace: bufferToString(source.namespace),
+  };
+}
+
+function readNameProperties(properties) {
+  return {
+    owner: properties.owner,
+    registered_at: toHeight(properties["registered-at"]),
+    imported_at: toHeight(properties["imported-at"]),
+    preordered_by: properties["preordered-by"],
+    hashed_salted_fqn_preorder: properties["hashed-salted-fqn-preorder"],
+    renewal_height: toHeight(properties["renewal-height"]) || 0,
+    stx_burn: toAmount(properties["stx-burn"]) || "0",
+  };
+}
+
+function readNamespaceProperties(properties) {
+  const priceFunction = properties["price-function"] || {};
+
+  return {
+    namespace_manager: properties["namespace-manager"],
+    manager_transferable: properties["manager-transferable"],
+    manager_frozen: properties["manager-frozen"],
+    namespace_import: properties["namespace-import"],
+    revealed_at: toHeight(properties["revealed-at"]),
+    launched_at: toHeight(properties["launched-at"]),
+    lifetime: toHeight(properties.lifetime),
+    can_update_price_function: properties["can-update-price-function"],
+    price_function_base: toAmount(priceFunction.base),
+    price_function_coeff: toAmount(priceFunction.coeff),
+    price_function_buckets: priceFunction.buckets
+      ? `[${priceFunction.buckets.join(",")}]`
+      : null,
+    price_function_nonalpha_discount: toAmount(
+      priceFunction["nonalpha-discount"]
+    ),
+    price_function_no_vowel_discount: toAmount(
+      priceFunction["no-vowel-discount"]
+    ),
+  };
+}
+
+// UPDATE first and INSERT only when nothing matched, so this works against
+// tables that were created without the unique constraints.
+async function upsertRow(client, table, keys, values) {
+  const keyColumns = Object.keys(keys);
+  const valueColumns = Object.keys(values);
+  const params = [...Object.values(keys), ...Object.values(values)];
+
+  const assignments = valueColumns.map(
+    (column, index) => `${column} = $${keyColumns.length + index + 1}`
+  );
+  const conditions = keyColumns.map(
+    (column, index) => `${column} = $${index + 1}`
+  );
+
+  const updateResult = await client.query(
+    `UPDATE ${table} SET ${assignments.join(", ")}
+     WHERE ${conditions.join(" AND ")}`,
+    params
+  );
+
+  if (updateResult.rowCount > 0) return;
+
+  const columns = [...keyColumns, ...valueColumns];
+  await client.query(
+    `INSERT INTO ${table} (${columns.join(", ")})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(", ")})`,
+    params
+  );
+}
+
+async function applyNameEvent(client, schema, value) {
+  const { name, namespace } = readFullName(value);
+  const table = `${schema}.names`;
+  const keys = { name_string: name, namespace_string: namespace };
+
+  if (NAME_PROPERTY_TOPICS.includes(value.topic)) {
+    const row = value.properties
+      ? readNameProperties(value.properties)
+      : { owner: value.owner };
+
+    if (value.id !== undefined && value.id !== null) {
+      row.id = toAmount(value.id);
+    }
+    const isNew = value.topic === "new-name" || value.topic === "new-airdrop";
+    if (isNew) {
+      row.revoked = false;
+    }
+
+    await upsertRow(client, table, keys, row);
+    if (isNew) {
+      await recordNameRarity(client, schema, [keys]);
+    }
+    return { topic: value.topic, name, namespace };
+  }
+
+  if (value.topic === "burn-name") {
+    await client.query(
+      `DELETE FROM ${table} WHERE name_string = $1 AND namespace_string = $2`,
+      [name, namespace]
+    );
+    return { topic: value.topic, name, namespace };
+  }
+
+  if (value.topic === "revoke-name") {
+    await client.query(
+      `UPDATE ${table} SET revoked = true
+       WHERE name_string = $1 AND namespace_string = $2`,
+      [name, namespace]
+    );
+    return { topic: value.topic, name, namespace };
+  }
+
+  if (value.topic === "update-zonefile") {
+    const zonefile =
+      "zonefile" in value ? value.zonefile : value["zonefile-hash"] || null;
+    await client.query(
+      `UPDATE ${table} SET zonefile = $3
+       WHERE name_string = $1 AND namespace_string = $2`,
+      [name, namespace, zonefile]
+    );
+    return { topic: value.topic, name, namespace };
+  }
+
+  return null;
+}
+
+async function applyNamespaceEvent(client, schema, value) {
+  if (!value.properties) return null;
+
+  const namespace = bufferToString(value.namespace);
+
+  await upsertRow(
+    client,
+    `${schema}.namespaces`,
+    { namespace_string: namespace },
+    readNamespaceProperties(value.properties)
+  );
+
+  return { topic: `namespace-${value.status}`, name: null, namespace };
+}
+
+async function removeListing(client, schema, id) {
+  await client.query(`DELETE FROM ${schema}.market_listings WHERE id = $1`, [
+    toAmount(id),
+  ]);
+}
+
+// The contract clears an owner's primary name when the name leaves them.
+async function clearPrimaryName(client, schema, id) {
+  await client.query(`DELETE FROM ${schema}.primary_names WHERE name_id = $1`, [
+    toAmount(id),
+  ]);
+}
+
+// Marketplace prints are keyed by `a` and only carry the token id. The
+// listing height and txid come from the settings `processBlock` sets for the
+// name history trigger.
+async function applyMarketEvent(client, schema, value) {
+  if (value.a === "list-in-ustx") {
+    await removeListing(client, schema, value.id);
+    await client.query(
+      `INSERT INTO ${schema}.market_listings (id, price, commission, listed_at, txid)
+       VALUES (
+         $1, $2, $3,
+         NULLIF(current_setting('bns.burn_block_height', true), '')::integer,
+         NULLIF(current_setting('bns.txid', true), '')
+       )`,
+      [toAmount(value.id), toAmount(value.price), value.commission]
+    );
+    return {
+      topic: value.a,
+      name: null,
+      namespace: null,
+      id: toAmount(value.id),
+    };
+  }
+
+  if (value.a === "unlist-in-ustx" || value.a === "buy-in-ustx") {
+    await removeListing(client, schema, value.id);
+    return {
+      topic: value.a,
+      name: null,
+      namespace: null,
+      id: toAmount(value.id),
+    };
+  }
+
+  return null;
+}
+
+// Applies one decoded print event and returns the topic and the name or
+// namespace it touched, or null for prints the indexer doesn't track.
+export async function applyBnsEvent(client, schema, value) {
+  if (!value || typeof value !== "object") return null;
+
+  if (typeof value.a === "string") {
+    return applyMarketEvent(client, schema, value);
+  }
+
+  if (typeof value.topic === "string") {
+    if (
+      (value.topic === "transfer-name" || value.topic === "burn-name") &&
+      value.id !== undefined &&
+      value.id !== null
+    ) {
+      await removeListing(client, schema, value.id);
+      await clearPrimaryName(client, schema, value.id);
+    }
+
+    return applyNameEvent(client, schema, value);
+  }
+
+  if (typeof value.status === "string" && value.namespace) {
+    return applyNamespaceEvent(client, schema, value);
+  }
+
+  return null;
+}
@@ -0,0 +1,60 @@
+import { ClarityType, hexToCV } from "@stacks/transactions";
+
+// Converts a Clarity value into plain JS: uints and ints become BigInt,
+// buffers stay hex strings, optionals collapse to the value or null and
+// responses unwrap to their inner value.
+export function clarityToJs(cv) {
+  switch (cv.type) {
+    case ClarityType.Int:
+    case ClarityType.UInt:
+      return BigInt(cv.value);
+    case ClarityType.Buffer:
+      return cv.value;
+    case ClarityType.BoolTrue:
+      return true;
+    case ClarityType.BoolFalse:
+      return false;
+    case ClarityType.PrincipalStandard:
+    case ClarityType.PrincipalContract:
+    case ClarityType.StringASCII:
+    case ClarityType.StringUTF8:
+      return cv.value;
+    case ClarityType.OptionalNone:
+      return null;
+    case ClarityType.OptionalSome:
+    case ClarityType.ResponseOk:
+    case ClarityType.ResponseErr:
+      return clarityToJs(cv.value);
+    case ClarityType.List:
+      return cv.value.map(clarityToJs);
+    case ClarityType.Tuple:
+      return Object.fromEntries(
+        Object.entries(cv.value).map(([key, value]) => [
+          key,
+          clarityToJs(value),
+        ])
+      );
+    default:
+      throw new Error(`Unsupported Clarity type: ${cv.type}`);
+  }
+}
+
+export function decodeClarityHex(hex) {
+  return clarityToJs(hexToCV(hex));
+}
+
+// BNS-V2 stores names and namespaces as ASCII buffers.
+export function bufferToString(hex) {
+  if (hex === null || hex === undefined) return null;
+  return Buffer.from(hex.replace(/^0x/, ""), "hex").toString("utf8");
+}
+
+// Burn block heights always fit in a JS number; amounts are passed to
+// Postgres as strings so uint128 values keep their precision.
+export function toHeight(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+export function toAmount(value) {
+  return value === null || value === undefined ? null : value.toString();
+}
@@ -0,0 +1,126 @@
+import {
+  addressFromVersionHash,
+  addressHashModeToVersion,
+  addressToString,
+  deserializeTransaction,
+  PayloadType,
+} from "@stacks/transactions";
+import { clarityToJs, toAmount } from "./clarity.js";
+
+const PREORDER_FUNCTION = "name-preorder";
+const PRIMARY_NAME_FUNCTION = "set-primary-name";
+
+// Decodes a raw transaction into its contract call, or null for any other
+// kind of transaction.
+export function decodeContractCall(rawTx, network) {
+  let transaction;
+  try {
+    transaction = deserializeTransaction(rawTx.replace(/^0x/, ""));
+  } catch {
+    return null;
+  }
+
+  const { payload, auth } = transaction;
+  if (payload.payloadType !== PayloadType.ContractCall) return null;
+
+  const { hashMode, signer } = auth.spendingCondition;
+
+  return {
+    txid: `0x${transaction.txid()}`,
+    sender: addressToString(
+      addressFromVersionHash(
+        addressHashModeToVersion(hashMode, network),
+        signer
+      )
+    ),
+    contract: `${addressToString(payload.contractAddress)}.${
+      payload.contractName.content
+    }`,
+    functionName: payload.functionName.content,
+    args: payload.functionArgs.map(clarityToJs),
+  };
+}
+
+function isCallTo(call, contract, functionName) {
+  return (
+    call !== null &&
+    call.contract === contract &&
+    call.functionName === functionName
+  );
+}
+
+// BNS-V2 preorders only store hash160(name + "." + namespace + salt) with the
+// buyer, and the contract prints nothing for them, so they are read from the
+// `name-preorder` calls themselves.
+export function readPreorder(call, contract) {
+  if (!isCallTo(call, contract, PREORDER_FUNCTION)) return null;
+
+  const [hashedSaltedFqn, stxToBurn] = call.args;
+
+  return {
+    txid: call.txid,
+    buyer: call.sender,
+    hashed_salted_fqn: hashedSaltedFqn,
+    stx_burned: toAmount(stxToBurn),
+  };
+}
+
+export function decodePreorder(rawTx, { network, contract }) {
+  return readPreorder(decodeContractCall(rawTx, network), contract);
+}
+
+// `set-primary-name` takes the token id of a name the sender owns and prints
+// nothing, so primary names are also read from the calls.
+export function readPrimaryName(call, contract) {
+  if (!isCallTo(call, contract, PRIMARY_NAME_FUNCTION)) return null;
+
+  return {
+    txid: call.txid,
+    owner: call.sender,
+    name_id: toAmount(call.args[0]),
+  };
+}
+
+export async function recordPrimaryName(client, schema, primaryName, setAt) {
+  await client.query(
+    `INSERT INTO ${schema}.primary_names (owner, name_id, txid, set_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (owner) DO UPDATE SET
+       name_id = EXCLUDED.name_id,
+       txid = EXCLUDED.txid,
+       set_at = EXCLUDED.set_at`,
+    [primaryName.owner, primaryName.name_id, primaryName.txid, setAt]
+  );
+}
+
+// Pending preorders have no `created_at` until they are mined.
+export async function recordPreorder(client, schema, preorder, createdAt) {
+  await client.query(
+    `INSERT INTO ${schema}.name_preorders
+      (hashed_salted_fqn, buyer, stx_burned, txid, created_at)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (hashed_salted_fqn, buyer) DO UPDATE SET
+       stx_burned = EXCLUDED.stx_burned,
+       txid = EXCLUDED.txid,
+       created_at = EXCLUDED.created_at
+     WHERE ${schema}.name_preorders.created_at IS NULL
+        OR EXCLUDED.created_at IS NOT NULL`,
+    [
+      preorder.hashed_salted_fqn,
+      preorder.buyer,
+      preorder.stx_burned,
+      preorder.txid,
+      createdAt,
+    ]
+  );
+}
+
+export async function dropPendingPreorders(client, schema, txids) {
+  if (txids.length === 0) return;
+
+  await client.query(
+    `DELETE FROM ${schema}.name_preorders
+     WHERE created_at IS NULL AND txid = ANY($1)`,
+    [txids]
+  );
+}
@@ -0,0 +1,203 @@
+import Fastify from "fastify";
+import { setCurrentBurnBlockHeight } from "../burnblock-service.js";
+import cache from "../cache.js";
+import { getPool } from "../db.js";
+import { applyBnsEvent, extractBnsEvents } from "./bns-events.js";
+import {
+  decodeContractCall,
+  decodePreorder,
+  dropPendingPreorders,
+  readPreorder,
+  readPrimaryName,
+  recordPreorder,
+  recordPrimaryName,
+} from "./contract-calls.js";
+import { findMissingIndexerColumns } from "./schema.js";
+
+const INDEXER_BODY_LIMIT = 500 * 1024 * 1024;
+
+// Observer endpoints that carry nothing the BNS-V2 tables need. The node
+// retries any post that isn't acknowledged, so they still get a 200.
+const ACK_ONLY_PATHS = [
+  "/new_microblocks",
+  "/attachments/new",
+  "/stackerdb_chunks",
+  "/proposal_response",
+];
+
+// Applies every BNS-V2 print event, preorder and primary name in a
+// `/new_block` payload, and drops its transactions from the pending
+// preorders, inside one transaction, so a failed block is rolled back and
+// retried by the node as a whole.
+// Exported so fixture blocks can be replayed without a node, against any pool
+// with the `pg` interface.
+export async function processBlock(
+  block,
+  { network, schema, contract, pool = getPool() }
+) {
+  if (block.burn_block_height) {
+    setCurrentBurnBlockHeight(network, block.burn_block_height);
+  }
+
+  const transactions = block.transactions || [];
+  const events = extractBnsEvents(block, contract);
+  const calls = transactions
+    .filter(({ status, raw_tx }) => status === "success" && raw_tx)
+    .map(({ raw_tx }) => decodeContractCall(raw_tx, network))
+    .filter(Boolean);
+  const preorders = calls
+    .map((call) => readPreorder(call, contract))
+    .filter(Boolean);
+  const primaryNames = calls
+    .map((call) => readPrimaryName(call, contract))
+    .filter(Boolean);
+
+  if (events.length === 0 && transactions.length === 0) return [];
+
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query("BEGIN");
+
+    // Mined transactions leave the mempool whether or not they succeeded.
+    await dropPendingPreorders(
+      client,
+      schema,
+      transactions.map(({ txid }) => txid)
+    );
+
+    for (const preorder of preorders) {
+      await recordPreorder(client, schema, preorder, block.burn_block_height);
+      applied.push({ topic: "name-preorder", txid: preorder.txid });
+    }
+
+    // Read by the name history trigger to date each change.
+    if (block.burn_block_height) {
+      await client.query(
+        `SELECT set_config('bns.burn_block_height', $1, true)`,
+        [String(block.burn_block_height)]
+      );
+    }
+
+    for (const event of events) {
+      await client.query(`SELECT set_config('bns.txid', $1, true)`, [
+        event.txid || "",
+      ]);
+
+      const result = await applyBnsEvent(client, schema, event.value);
+      if (result) {
+        applied.push({
+          ...result,
+          txid: event.txid,
+          event_index: event.event_index,
+        });
+      }
+    }
+
+    // After the prints, so a name transferred and then set as primary in the
+    // same block keeps its new row.
+    for (const primaryName of primaryNames) {
+      await recordPrimaryName(
+        client,
+        schema,
+        primaryName,
+        block.burn_block_height
+      );
+      applied.push({ topic: "set-primary-name", txid: primaryName.txid });
+    }
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const { name, namespace } of applied) {
+    if (name) {
+      cache.del(`name_info_${network}_${name}.${namespace}`);
+    } else if (namespace) {
+      cache.del(`namespace_info_${network}_${namespace}`);
+    }
+  }
+
+  return applied;
+}
+
+export async function startIndexer({ network, schema, contract }) {
+  const indexer = Fastify({ logger: true, bodyLimit: INDEXER_BODY_LIMIT });
+
+  const missingColumns = await findMissingIndexerColumns(getPool(), schema);
+  if (missingColumns.length > 0) {
+    throw new Error(
+      `Schema "${schema}" is missing ${missingColumns.join(
+        ", "
+      )}. Run \`npm run db:setup\` before starting the indexer`
+    );
+  }
+
+  indexer.post("/new_block", async (request, reply) => {
+    const applied = await processBlock(request.body, {
+      network,
+      schema,
+      contract,
+    });
+
+    if (applied.length > 0) {
+      indexer.log.info({
+        block_height: request.body.block_height,
+        events: applied.map(({ topic, name, namespace, id, txid }) => {
+          if (name) return `${topic} ${name}.${namespace}`;
+          if (namespace) return `${topic} ${namespace}`;
+          return id ? `${topic} #${id}` : `${topic} ${txid}`;
+        }),
+      });
+    }
+
+    return reply.send({ status: "ok" });
+  });
+
+  indexer.post("/new_burn_block", async (request, reply) => {
+    setCurrentBurnBlockHeight(network, request.body.burn_block_height);
+    return reply.send({ status: "ok" });
+  });
+
+  // Pending preorders are tracked from the mempool so a name can be reported
+  // as contested before the preorder is mined.
+  indexer.post("/new_mempool_tx", async (request, reply) => {
+    const preorders = (request.body || [])
+      .map((rawTx) => decodePreorder(rawTx, { network, contract }))
+      .filter(Boolean);
+
+    for (const preorder of preorders) {
+      await recordPreorder(getPool(), schema, preorder, null);
+    }
+
+    return reply.send({ status: "ok" });
+  });
+
+  indexer.post("/drop_mempool_tx", async (request, reply) => {
+    await dropPendingPreorders(
+      getPool(),
+      schema,
+      request.body.dropped_txids || []
+    );
+    return reply.send({ status: "ok" });
+  });
+
+  for (const path of ACK_ONLY_PATHS) {
+    indexer.post(path, async (request, reply) => reply.send({ status: "ok" }));
+  }
+
+  const port = parseInt(process.env.INDEXER_PORT || "3700", 10);
+  const host = process.env.INDEXER_HOST || "127.0.0.1";
+
+  await indexer.listen({ port, host });
+  indexer.log.info(
+    `BNS-V2 indexer for ${network} (${contract}) listening on ${host}:${port}`
+  );
+
+  return indexer;
+}
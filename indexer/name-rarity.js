@@ -0,0 +1,54 @@
+import { getRarityProfiles, scoreNameRarity } from "../rarity-engine.js";
+
+const BACKFILL_BATCH_SIZE = 1000;
+
+// Rarity factors run in JS, so names are scored when they are written rather
+// than when they are ranked. Stores each name's score under every profile,
+// replacing scores that changed with the engine.
+export async function recordNameRarity(client, schema, names) {
+  const columns = [[], [], [], []];
+
+  for (const { name_string, namespace_string } of names) {
+    for (const profile of getRarityProfiles()) {
+      columns[0].push(namespace_string);
+      columns[1].push(name_string);
+      columns[2].push(profile);
+      columns[3].push(scoreNameRarity(name_string, profile).rarity_score);
+    }
+  }
+
+  if (columns[0].length === 0) return;
+
+  await client.query(
+    `INSERT INTO ${schema}.name_rarity
+      (namespace_string, name_string, profile, rarity_score)
+     SELECT * FROM unnest($1::text[], $2::text[], $3::text[], $4::integer[])
+     ON CONFLICT (namespace_string, name_string, profile) DO UPDATE SET
+       rarity_score = EXCLUDED.rarity_score
+     WHERE ${schema}.name_rarity.rarity_score IS DISTINCT FROM
+       EXCLUDED.rarity_score`,
+    columns
+  );
+}
+
+// Scores every name, a batch at a time in id order, so names written by
+// another process and profiles added since the last run are ranked too.
+export async function backfillNameRarity(pool, schema) {
+  let lastId = null;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, name_string, namespace_string
+       FROM ${schema}.names
+       WHERE $1::bigint IS NULL OR id > $1
+       ORDER BY id
+       LIMIT ${BACKFILL_BATCH_SIZE}`,
+      [lastId]
+    );
+
+    if (rows.length === 0) return;
+
+    await recordNameRarity(pool, schema, rows);
+    lastId = String(rows[rows.length - 1].id);
+  }
+}
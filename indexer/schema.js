@@ -0,0 +1,326 @@
+import { backfillNameRarity } from "./name-rarity.js";
+
+// Columns the indexer writes. `db:setup` creates missing tables and adds any
+// column an existing deployment lacks, so the indexer can take over a
+// database that was previously filled by an external pipeline.
+const NAMESPACE_COLUMNS = {
+  namespace_string: "TEXT PRIMARY KEY",
+  namespace_manager: "TEXT",
+  manager_transferable: "BOOLEAN",
+  manager_frozen: "BOOLEAN",
+  namespace_import: "TEXT",
+  revealed_at: "INTEGER",
+  launched_at: "INTEGER",
+  lifetime: "INTEGER",
+  can_update_price_function: "BOOLEAN",
+  price_function_base: "NUMERIC",
+  price_function_coeff: "NUMERIC",
+  price_function_buckets: "TEXT",
+  price_function_nonalpha_discount: "NUMERIC",
+  price_function_no_vowel_discount: "NUMERIC",
+};
+
+const NAME_COLUMNS = {
+  id: "BIGINT PRIMARY KEY",
+  name_string: "TEXT NOT NULL",
+  namespace_string: "TEXT NOT NULL",
+  owner: "TEXT",
+  registered_at: "INTEGER",
+  imported_at: "INTEGER",
+  preordered_by: "TEXT",
+  hashed_salted_fqn_preorder: "TEXT",
+  renewal_height: "INTEGER NOT NULL DEFAULT 0",
+  stx_burn: "NUMERIC NOT NULL DEFAULT 0",
+  revoked: "BOOLEAN NOT NULL DEFAULT false",
+  zonefile: "TEXT",
+};
+
+function columnDefinitions(columns) {
+  return Object.entries(columns).map(
+    ([column, definition]) => `${column} ${definition}`
+  );
+}
+
+function addMissingColumns(table, columns) {
+  return Object.entries(columns)
+    .filter(([, definition]) => !definition.includes("PRIMARY KEY"))
+    .map(
+      ([column, definition]) =>
+        `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition
+          .replace(" NOT NULL", "")
+          .trim()};`
+    );
+}
+
+// One row per change to a name, written by a trigger on `names` so the log is
+// kept whichever process writes the table. Writers can tag their changes by
+// setting `bns.burn_block_height` and `bns.txid` for the transaction.
+function nameHistoryStatements(schema) {
+  // `row` is NEW, or OLD for deletes where NEW isn't set.
+  const insertHistory = (row, event, columns) => {
+    const values = {
+      name_string: `${row}.name_string`,
+      namespace_string: `${row}.namespace_string`,
+      event,
+      ...columns,
+      burn_block_height: "change_height",
+      txid: "change_txid",
+    };
+
+    return `INSERT INTO ${schema}.name_history
+          (${Object.keys(values).join(", ")})
+          VALUES (${Object.values(values).join(", ")});`;
+  };
+
+  return [
+    `CREATE TABLE IF NOT EXISTS ${schema}.name_history (
+      id BIGSERIAL PRIMARY KEY,
+      name_string TEXT NOT NULL,
+      namespace_string TEXT NOT NULL,
+      event TEXT NOT NULL,
+      owner TEXT,
+      previous_owner TEXT,
+      renewal_height INTEGER,
+      previous_renewal_height INTEGER,
+      zonefile TEXT,
+      burn_block_height INTEGER,
+      txid TEXT,
+      recorded_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`,
+    `CREATE INDEX IF NOT EXISTS name_history_name_idx
+      ON ${schema}.name_history (name_string, namespace_string, id)`,
+    `CREATE OR REPLACE FUNCTION ${schema}.record_name_history()
+    RETURNS trigger AS $$
+    DECLARE
+      change_height INTEGER :=
+        NULLIF(current_setting('bns.burn_block_height', true), '')::INTEGER;
+      change_txid TEXT := NULLIF(current_setting('bns.txid', true), '');
+    BEGIN
+      IF TG_OP = 'INSERT' THEN
+        ${insertHistory(
+          "NEW",
+          "CASE WHEN NEW.imported_at IS NULL THEN 'register' ELSE 'import' END",
+          {
+            owner: "NEW.owner",
+            renewal_height: "NEW.renewal_height",
+            zonefile: "NEW.zonefile",
+          }
+        )}
+      ELSIF TG_OP = 'DELETE' THEN
+        ${insertHistory("OLD", "'burn'", {
+          previous_owner: "OLD.owner",
+          previous_renewal_height: "OLD.renewal_height",
+        })}
+      ELSIF NEW.registered_at IS DISTINCT FROM OLD.registered_at
+         OR NEW.imported_at IS DISTINCT FROM OLD.imported_at THEN
+        ${insertHistory("NEW", "'register'", {
+          owner: "NEW.owner",
+          previous_owner: "OLD.owner",
+          renewal_height: "NEW.renewal_height",
+          previous_renewal_height: "OLD.renewal_height",
+          zonefile: "NEW.zonefile",
+        })}
+      ELSE
+        IF NEW.owner IS DISTINCT FROM OLD.owner THEN
+          ${insertHistory("NEW", "'transfer'", {
+            owner: "NEW.owner",
+            previous_owner: "OLD.owner",
+          })}
+        END IF;
+        IF NEW.renewal_height IS DISTINCT FROM OLD.renewal_height THEN
+          ${insertHistory("NEW", "'renew'", {
+            owner: "NEW.owner",
+            renewal_height: "NEW.renewal_height",
+            previous_renewal_height: "OLD.renewal_height",
+          })}
+        END IF;
+        IF NEW.zonefile IS DISTINCT FROM OLD.zonefile THEN
+          ${insertHistory("NEW", "'zonefile'", {
+            owner: "NEW.owner",
+            zonefile: "NEW.zonefile",
+          })}
+        END IF;
+        IF NEW.revoked AND NOT OLD.revoked THEN
+          ${insertHistory("NEW", "'revoke'", { owner: "NEW.owner" })}
+        END IF;
+      END IF;
+
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql`,
+    `DROP TRIGGER IF EXISTS name_history_trigger ON ${schema}.names`,
+    `CREATE TRIGGER name_history_trigger
+      AFTER INSERT OR UPDATE OR DELETE ON ${schema}.names
+      FOR EACH ROW EXECUTE FUNCTION ${schema}.record_name_history()`,
+    // Names that predate the trigger start their history with a `snapshot` of
+    // their state at install time. Runs after the trigger is in place so no
+    // name is missed, and skips names that already have history.
+    `INSERT INTO ${schema}.name_history
+      (name_string, namespace_string, event, owner, renewal_height, zonefile)
+     SELECT n.name_string, n.namespace_string, 'snapshot', n.owner,
+       n.renewal_height, n.zonefile
+     FROM ${schema}.names n
+     WHERE NOT EXISTS (
+       SELECT 1 FROM ${schema}.name_history h
+       WHERE h.name_string = n.name_string
+         AND h.namespace_string = n.namespace_string
+     )`,
+  ];
+}
+
+// Expression indexes matching the sorts of the global name lists, so keyset
+// pages after the first are index scans. Each sort breaks ties on the full
+// name, spelled as in the list queries for the planner to match it.
+function nameListIndexStatements(schema) {
+  const fullName = "(name_string || '.' || namespace_string)";
+  const sorts = {
+    full_name: [],
+    registered_at: ["COALESCE(registered_at, 0)"],
+    renewal_height: ["renewal_height"],
+    length: ["LENGTH(name_string)"],
+  };
+
+  return Object.entries(sorts).map(
+    ([sort, expressions]) =>
+      `CREATE INDEX IF NOT EXISTS names_${sort}_sort_idx
+        ON ${schema}.names (${[...expressions, fullName].join(", ")})`
+  );
+}
+
+// Active BNS-V2 marketplace listings keyed by the name's token id. Rows are
+// removed when the name is unlisted, bought, transferred or burned.
+function marketStatements(schema) {
+  return [
+    `CREATE TABLE IF NOT EXISTS ${schema}.market_listings (
+      id BIGINT PRIMARY KEY,
+      price NUMERIC NOT NULL,
+      commission TEXT,
+      listed_at INTEGER,
+      txid TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS market_listings_price_idx
+      ON ${schema}.market_listings (price, id)`,
+  ];
+}
+
+// Preorders seen in `name-preorder` calls, keyed like the contract's
+// `name-preorders` map. `created_at` is the burn block the preorder was mined
+// in, or null while it is still in the mempool.
+function preorderStatements(schema) {
+  return [
+    `CREATE TABLE IF NOT EXISTS ${schema}.name_preorders (
+      hashed_salted_fqn TEXT NOT NULL,
+      buyer TEXT NOT NULL,
+      stx_burned NUMERIC NOT NULL,
+      txid TEXT NOT NULL,
+      created_at INTEGER,
+      PRIMARY KEY (hashed_salted_fqn, buyer)
+    )`,
+    `CREATE INDEX IF NOT EXISTS name_preorders_buyer_idx
+      ON ${schema}.name_preorders (buyer)`,
+  ];
+}
+
+// Primary names set with BNS-V2 `set-primary-name` calls, one per owner.
+// Rows are removed when the name is transferred or burned.
+function primaryNameStatements(schema) {
+  return [
+    `CREATE TABLE IF NOT EXISTS ${schema}.primary_names (
+      owner TEXT PRIMARY KEY,
+      name_id BIGINT NOT NULL,
+      txid TEXT NOT NULL,
+      set_at INTEGER
+    )`,
+    `CREATE INDEX IF NOT EXISTS primary_names_name_id_idx
+      ON ${schema}.primary_names (name_id)`,
+  ];
+}
+
+// Each name's rarity score under every profile, so the rarest names of a
+// namespace are read in index order. The ranking breaks ties on the shorter
+// name, then the name in byte order.
+function nameRarityStatements(schema) {
+  return [
+    `CREATE TABLE IF NOT EXISTS ${schema}.name_rarity (
+      namespace_string TEXT NOT NULL,
+      name_string TEXT NOT NULL,
+      profile TEXT NOT NULL,
+      rarity_score INTEGER NOT NULL,
+      PRIMARY KEY (namespace_string, name_string, profile)
+    )`,
+    `CREATE INDEX IF NOT EXISTS name_rarity_ranking_idx
+      ON ${schema}.name_rarity (
+        namespace_string, profile, rarity_score,
+        LENGTH(name_string), (name_string COLLATE "C")
+      )`,
+  ];
+}
+
+// Columns of the tables `db:setup` creates that the indexer writes to.
+const INDEXER_TABLE_COLUMNS = {
+  namespaces: Object.keys(NAMESPACE_COLUMNS),
+  names: Object.keys(NAME_COLUMNS),
+  name_history: ["burn_block_height", "txid"],
+  market_listings: ["id", "price", "commission", "listed_at", "txid"],
+  name_preorders: [
+    "hashed_salted_fqn",
+    "buyer",
+    "stx_burned",
+    "txid",
+    "created_at",
+  ],
+  primary_names: ["owner", "name_id", "txid", "set_at"],
+  name_rarity: ["namespace_string", "name_string", "profile", "rarity_score"],
+};
+
+// Lists the `table.column`s the indexer needs that `db:setup` hasn't created
+// yet. The indexer never migrates tables itself, since an external pipeline
+// may own them.
+export async function findMissingIndexerColumns(pool, schema) {
+  const result = await pool.query(
+    `SELECT table_name, column_name FROM information_schema.columns
+     WHERE table_schema = $1`,
+    [schema]
+  );
+  const existing = new Set(
+    result.rows.map((row) => `${row.table_name}.${row.column_name}`)
+  );
+
+  return Object.entries(INDEXER_TABLE_COLUMNS).flatMap(([table, columns]) =>
+    columns
+      .map((column) => `${table}.${column}`)
+      .filter((column) => !existing.has(column))
+  );
+}
+
+export async function ensureIndexerSchema(pool, schema) {
+  await pool.query(`CREATE SCHEMA IF NOT EXISTS ${schema}`);
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS ${schema}.namespaces (
+      ${columnDefinitions(NAMESPACE_COLUMNS).join(",\n      ")}
+    )`
+  );
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS ${schema}.names (
+      ${columnDefinitions(NAME_COLUMNS).join(",\n      ")},
+      UNIQUE (name_string, namespace_string)
+    )`
+  );
+
+  for (const statement of [
+    ...addMissingColumns(`${schema}.namespaces`, NAMESPACE_COLUMNS),
+    ...addMissingColumns(`${schema}.names`, NAME_COLUMNS),
+    ...nameListIndexStatements(schema),
+    ...nameHistoryStatements(schema),
+    ...marketStatements(schema),
+    ...preorderStatements(schema),
+    ...primaryNameStatements(schema),
+    ...nameRarityStatements(schema),
+  ]) {
+    await pool.query(statement);
+  }
+
+  await backfillNameRarity(pool, schema);
+}
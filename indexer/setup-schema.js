@@ -0,0 +1,13 @@
+import { getPool } from "../db.js";
+import { ensureIndexerSchema } from "./schema.js";
+
+// Creates the tables, any missing columns, the name list indexes and the
+// name history trigger, and scores every name's rarity, for both networks.
+// Run before starting the built-in indexer, and on databases filled by an
+// external pipeline.
+for (const schema of ["public", "testnet"]) {
+  await ensureIndexerSchema(getPool(), schema);
+  console.log(`Schema "${schema}" is up to date`);
+}
+
+process.exit(0);
@@ -0,0 +1,97 @@
+const VOWELS = ["a", "e", "i", "o", "u", "y"];
+const MAX_NAME_LENGTH = 48;
+const PRICE_BUCKET_COUNT = 16;
+const USTX_PER_STX = 1000000n;
+
+export function isValidNameString(name) {
+  return (
+    typeof name === "string" &&
+    name.length > 0 &&
+    name.length <= MAX_NAME_LENGTH &&
+    /^[a-z0-9_-]+$/.test(name)
+  );
+}
+
+export function hasVowels(name) {
+  return [...name].some((char) => VOWELS.includes(char));
+}
+
+export function hasNonAlphaChars(name) {
+  return /[0-9_-]/.test(name);
+}
+
+// Buckets may come back from the database as an array, a JSON array or a
+// Postgres array literal depending on how the indexer stored them.
+export function parsePriceBuckets(buckets) {
+  const values = Array.isArray(buckets)
+    ? buckets
+    : String(buckets || "")
+        .replace(/[[\]{}]/g, "")
+        .split(",")
+        .map((value) => value.trim())
+        .filter((value) => value !== "");
+
+  if (values.length !== PRICE_BUCKET_COUNT) {
+    return null;
+  }
+
+  try {
+    return values.map((value) => BigInt(value));
+  } catch {
+    return null;
+  }
+}
+
+// Mirrors compute-name-price in the BNS-V2 contract:
+// (coeff * base ^ bucket[min(15, len - 1)]) / max(nonalpha, no-vowel) * 10
+// Returns null when the namespace has no complete price function.
+export function computeNamePrice(name, namespaceInfo) {
+  try {
+    const buckets = parsePriceBuckets(namespaceInfo.price_function_buckets);
+
+    if (!buckets) {
+      return null;
+    }
+
+    const base = BigInt(namespaceInfo.price_function_base);
+    const coeff = BigInt(namespaceInfo.price_function_coeff);
+    const bucketIndex = Math.min(PRICE_BUCKET_COUNT - 1, name.length - 1);
+    const exponent = buckets[bucketIndex];
+
+    const noVowelDiscount = hasVowels(name)
+      ? 1n
+      : BigInt(namespaceInfo.price_function_no_vowel_discount);
+    const nonAlphaDiscount = hasNonAlphaChars(name)
+      ? BigInt(namespaceInfo.price_function_nonalpha_discount)
+      : 1n;
+    const discount =
+      noVowelDiscount > nonAlphaDiscount ? noVowelDiscount : nonAlphaDiscount;
+
+    if (discount === 0n) {
+      return null;
+    }
+
+    const price = ((coeff * base ** exponent) / discount) * 10n;
+
+    return {
+      price,
+      breakdown: {
+        base: base.toString(),
+        coeff: coeff.toString(),
+        bucket_index: bucketIndex,
+        exponent: exponent.toString(),
+        no_vowel_discount: noVowelDiscount.toString(),
+        nonalpha_discount: nonAlphaDiscount.toString(),
+        applied_discount: discount.toString(),
+      },
+    };
+  } catch {
+    return null;
+  }
+}
+
+export function formatUstxAsStx(ustx) {
+  const whole = ustx / USTX_PER_STX;
+  const fraction = (ustx % USTX_PER_STX).toString().padStart(6, "0");
+  return `${whole}.${fraction}`;
+}
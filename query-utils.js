@@ -1,13 +1,179 @@
 import { getCurrentBurnBlockHeight } from "./burnblock-service.js";
 import cache from "./cache.js";
 import { getPool } from "./db.js";
+import { formatUstxAsStx } from "./price-utils.js";
 
 const CACHE_TTL = {
   NAMESPACE_INFO: 3600,
   NAME_INFO: 300,
   NAME_EXISTS: 600,
+  PRIMARY_NAME: 120,
+  TABLE_EXISTS: 3600,
+  // Short, so tables and columns added by `db:setup` are picked up quickly.
+  TABLE_MISSING: 30,
+  LISTING: 30,
 };
 
+export const GRACE_PERIOD_BLOCKS = 5000;
+export const EXPIRING_SOON_WINDOW = 4320;
+
+export const NAME_STATUSES = [
+  "active",
+  "expiring-soon",
+  "grace-period",
+  "expired",
+  "revoked",
+];
+
+const PRIMARY_NAME_COLUMNS = `
+  n.id,
+  n.name_string || '.' || n.namespace_string AS full_name,
+  n.name_string,
+  n.namespace_string,
+  n.owner,
+  n.registered_at,
+  n.renewal_height,
+  n.stx_burn`;
+
+const CURSOR_VALUE_TYPES = {
+  integer: (value) =>
+    Number.isSafeInteger(value) ||
+    (typeof value === "string" && /^-?\d{1,18}$/.test(value)),
+  string: (value) => typeof value === "string" && !value.includes("\u0000"),
+};
+
+// Cursors record the `key` of the ordering they were issued for.
+export function encodeCursor(values, key = "") {
+  return Buffer.from(JSON.stringify({ key, values })).toString("base64url");
+}
+
+// Returns the cursor's values, or null when it was issued for another
+// ordering or its values don't have the given `types` ("integer" or
+// "string"), so tampered cursors never reach the keyset comparison.
+export function decodeCursor(cursor, key = "", types = null) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch {
+    return null;
+  }
+
+  if (!decoded || decoded.key !== key || !Array.isArray(decoded.values)) {
+    return null;
+  }
+
+  const { values } = decoded;
+  if (
+    types &&
+    (values.length !== types.length ||
+      !types.every((type, i) => CURSOR_VALUE_TYPES[type](values[i])))
+  ) {
+    return null;
+  }
+
+  return values;
+}
+
+// Sums a uSTX column as a whole-number string, ready for BigInt even when
+// the column has a scale or no rows match.
+export function ustxSumSql(column) {
+  return `TRUNC(COALESCE(SUM(${column}), 0))::text`;
+}
+
+export const PAGE_MAX_LIMIT = 100;
+
+// Reads a page size, falling back to `defaultLimit` when it isn't a number.
+export function clampLimit(limit, defaultLimit = 50) {
+  return Math.min(Math.max(parseInt(limit) || defaultLimit, 1), PAGE_MAX_LIMIT);
+}
+
+// A list's ordering: its cursor `key`, the types of the values it compares
+// on and how to read them from the last row of a page.
+export function keyset(key, types, getValues) {
+  return { key, types, getValues };
+}
+
+export function isIntegerParam(value) {
+  return /^-?\d+$/.test(String(value));
+}
+
+// Reads `limit`, `offset` and the opaque keyset `cursor` from the query
+// string. A cursor takes precedence over the legacy offset, and is invalid
+// unless it was issued for the list's `keyset`. `error` is set when the
+// query can't be read and should get a 400.
+export function parsePagination(query, keyset, defaultLimit = 50) {
+  const { limit = defaultLimit, offset = 0, cursor } = query;
+
+  if (!isIntegerParam(limit) || !isIntegerParam(offset)) {
+    return { error: "limit and offset must be integers" };
+  }
+
+  const cursorValues = cursor
+    ? decodeCursor(cursor, keyset.key, keyset.types)
+    : null;
+
+  return {
+    limit: clampLimit(limit, defaultLimit),
+    offset: cursorValues ? 0 : Math.max(parseInt(offset), 0),
+    cursor: cursor || null,
+    cursorValues,
+    error: cursor && cursorValues === null ? "Invalid cursor" : null,
+  };
+}
+
+// List queries fetch one row past `limit` so we know whether to hand out a
+// cursor for the next page. The page's rows are returned under `field`.
+export function buildPage(rows, limit, keyset, field = "names") {
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    [field]: pageRows,
+    next_cursor: hasMore
+      ? encodeCursor(
+          keyset.getValues(pageRows[pageRows.length - 1]),
+          keyset.key
+        )
+      : null,
+  };
+}
+
+// Positional query parameters: `param(value)` appends one to `values` and
+// returns its placeholder.
+export function queryParams(values = []) {
+  return {
+    values,
+    param: (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    },
+  };
+}
+
+// Maps `{ "<column> <operator>": value }` to conditions, skipping unset
+// filters.
+export function filterConditions(filters, param) {
+  return Object.entries(filters)
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(([comparison, value]) => `${comparison} ${param(value)}`);
+}
+
+// Selects the rows after a cursor when every expression sorts in `order`.
+export function keysetCondition(expressions, order, placeholders) {
+  return `(${expressions.join(", ")}) ${
+    order === "desc" ? "<" : ">"
+  } (${placeholders.join(", ")})`;
+}
+
+export function whereClause(conditions) {
+  const activeConditions = conditions.filter(Boolean);
+  return activeConditions.length > 0
+    ? `WHERE ${activeConditions.join("\n         AND ")}`
+    : "";
+}
+
 export async function getNameInfo(nameString, namespaceString, network) {
   const cacheKey = `name_info_${network}_${nameString}.${namespaceString}`;
 
@@ -41,6 +207,202 @@ export async function getNameInfo(nameString, namespaceString, network) {
   return nameInfo;
 }
 
+export async function tableExists(tableName, network) {
+  const schema = network === "testnet" ? "testnet" : "public";
+  const cacheKey = `table_exists_${schema}_${tableName}`;
+
+  const cachedValue = cache.get(cacheKey);
+  if (cachedValue !== undefined) return cachedValue;
+
+  const pool = getPool(network);
+  const result = await pool.query(
+    `SELECT to_regclass($1) IS NOT NULL AS exists`,
+    [`${schema}.${tableName}`]
+  );
+  const exists = result.rows[0].exists;
+
+  cache.set(
+    cacheKey,
+    exists,
+    exists ? CACHE_TTL.TABLE_EXISTS : CACHE_TTL.TABLE_MISSING
+  );
+
+  return exists;
+}
+
+export async function columnExists(tableName, columnName, network) {
+  const schema = network === "testnet" ? "testnet" : "public";
+  const cacheKey = `column_exists_${schema}_${tableName}_${columnName}`;
+
+  const cachedValue = cache.get(cacheKey);
+  if (cachedValue !== undefined) return cachedValue;
+
+  const pool = getPool(network);
+  const result = await pool.query(
+    `SELECT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = $1 AND table_name = $2 AND column_name = $3
+    ) AS exists`,
+    [schema, tableName, columnName]
+  );
+  const exists = result.rows[0].exists;
+
+  cache.set(
+    cacheKey,
+    exists,
+    exists ? CACHE_TTL.TABLE_EXISTS : CACHE_TTL.TABLE_MISSING
+  );
+
+  return exists;
+}
+
+export function formatListing(row) {
+  const price = BigInt(row.price);
+
+  return {
+    price_ustx: price.toString(),
+    price_stx: formatUstxAsStx(price),
+    commission: row.commission,
+    listed_at: row.listed_at,
+    txid: row.txid,
+  };
+}
+
+// Returns the name's active marketplace listing, or null when it isn't
+// listed or listings aren't indexed in this database.
+export async function getListingForName(nameString, namespaceString, network) {
+  if (!(await tableExists("market_listings", network))) return null;
+
+  const cacheKey = `name_listing_${network}_${nameString}.${namespaceString}`;
+
+  const cachedListing = cache.get(cacheKey);
+  if (cachedListing !== undefined) return cachedListing;
+
+  const pool = getPool(network);
+  const schema = network === "testnet" ? "testnet" : "public";
+
+  const result = await pool.query(
+    `SELECT m.price, m.commission, m.listed_at, m.txid
+     FROM ${schema}.market_listings m
+     JOIN ${schema}.names n ON n.id = m.id
+     WHERE n.name_string = $1 AND n.namespace_string = $2`,
+    [nameString, namespaceString]
+  );
+
+  const listing = result.rows.length > 0 ? formatListing(result.rows[0]) : null;
+
+  cache.set(cacheKey, listing, CACHE_TTL.LISTING);
+
+  return listing;
+}
+
+// Returns the name an address should display. BNS-V2 keeps an explicit
+// primary name per owner; when none is indexed (or it is no longer valid),
+// fall back to the earliest registered valid name, which is the one the
+// contract assigns as primary when an address receives its first name.
+export async function getPrimaryName(address, network) {
+  const cacheKey = `primary_name_${network}_${address}`;
+
+  const cachedData = cache.get(cacheKey);
+  if (cachedData) return cachedData;
+
+  const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+  const pool = getPool(network);
+  const schema = network === "testnet" ? "testnet" : "public";
+
+  let primaryName = null;
+
+  if (await tableExists("primary_names", network)) {
+    const result = await pool.query(
+      `SELECT ${PRIMARY_NAME_COLUMNS}
+       FROM ${schema}.primary_names p
+       JOIN ${schema}.names n ON n.id = p.name_id
+       WHERE p.owner = $1
+       AND n.owner = $1
+       AND n.revoked = false
+       AND (n.renewal_height = 0 OR n.renewal_height > $2)`,
+      [address, currentBurnBlock]
+    );
+
+    if (result.rows.length > 0) {
+      primaryName = { ...result.rows[0], is_primary: true };
+    }
+  }
+
+  if (!primaryName) {
+    const result = await pool.query(
+      `SELECT ${PRIMARY_NAME_COLUMNS}
+       FROM ${schema}.names n
+       WHERE n.owner = $1
+       AND n.revoked = false
+       AND (n.renewal_height = 0 OR n.renewal_height > $2)
+       ORDER BY n.registered_at ASC NULLS LAST, n.id ASC
+       LIMIT 1`,
+      [address, currentBurnBlock]
+    );
+
+    if (result.rows.length > 0) {
+      primaryName = { ...result.rows[0], is_primary: false };
+    }
+  }
+
+  if (primaryName) {
+    cache.set(cacheKey, primaryName, CACHE_TTL.PRIMARY_NAME);
+  }
+
+  return primaryName;
+}
+
+// Batch form of getPrimaryName, keyed by address, in a single query.
+export async function getPrimaryNames(addresses, network) {
+  const primaryNames = new Map();
+  const missing = [];
+
+  for (const address of addresses) {
+    const cachedData = cache.get(`primary_name_${network}_${address}`);
+    if (cachedData) {
+      primaryNames.set(address, cachedData);
+    } else {
+      missing.push(address);
+    }
+  }
+
+  if (missing.length === 0) return primaryNames;
+
+  const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+  const pool = getPool(network);
+  const schema = network === "testnet" ? "testnet" : "public";
+  const hasPrimaryTable = await tableExists("primary_names", network);
+
+  const result = await pool.query(
+    `SELECT DISTINCT ON (n.owner)
+      ${PRIMARY_NAME_COLUMNS},
+      ${hasPrimaryTable ? "p.name_id IS NOT NULL" : "false"} AS is_primary
+     FROM ${schema}.names n
+     ${
+       hasPrimaryTable
+         ? `LEFT JOIN ${schema}.primary_names p ON p.owner = n.owner AND p.name_id = n.id`
+         : ""
+     }
+     WHERE n.owner = ANY($1)
+     AND n.revoked = false
+     AND (n.renewal_height = 0 OR n.renewal_height > $2)
+     ORDER BY n.owner, is_primary DESC, n.registered_at ASC NULLS LAST, n.id ASC`,
+    [missing, currentBurnBlock]
+  );
+
+  for (const row of result.rows) {
+    primaryNames.set(row.owner, row);
+    cache.set(
+      `primary_name_${network}_${row.owner}`,
+      row,
+      CACHE_TTL.PRIMARY_NAME
+    );
+  }
+
+  return primaryNames;
+}
+
 export async function isNameValid(nameInfo, network) {
   if (!nameInfo || nameInfo.revoked) {
     return false;
@@ -116,19 +478,63 @@ export async function getNameStatus(nameInfo, network) {
   }
 
   const currentBurnBlock = await getCurrentBurnBlockHeight(network);
+
+  return getRenewalStatus(nameInfo.renewal_height, currentBurnBlock);
+}
+
+// Imported names keep a renewal height of 0 until their first renewal; until
+// then they expire `lifetime` blocks after their namespace launched.
+export function getEffectiveRenewalHeight(nameInfo, namespaceInfo) {
   const renewalHeight = parseInt(nameInfo.renewal_height);
+  const { launched_at, lifetime } = namespaceInfo;
+
+  if (renewalHeight === 0 && nameInfo.imported_at && launched_at && lifetime) {
+    return launched_at + lifetime;
+  }
 
-  if (currentBurnBlock > renewalHeight + 5000) {
+  return renewalHeight;
+}
+
+// SQL counterpart of getEffectiveRenewalHeight for `names n` joined to
+// `namespaces ns`.
+export const EFFECTIVE_RENEWAL_HEIGHT_SQL = `CASE
+    WHEN n.renewal_height = 0 AND n.imported_at IS NOT NULL
+      AND ns.launched_at IS NOT NULL AND ns.lifetime > 0
+    THEN ns.launched_at + ns.lifetime
+    ELSE n.renewal_height
+  END`;
+
+export function getRenewalStatus(renewalHeight, currentBurnBlock) {
+  const height = parseInt(renewalHeight);
+
+  if (height === 0) {
+    return "active";
+  }
+
+  if (currentBurnBlock > height + GRACE_PERIOD_BLOCKS) {
     return "expired";
-  } else if (currentBurnBlock > renewalHeight) {
+  } else if (currentBurnBlock > height) {
     return "grace-period";
-  } else if (currentBurnBlock > renewalHeight - 4320) {
+  } else if (currentBurnBlock > height - EXPIRING_SOON_WINDOW) {
     return "expiring-soon";
   } else {
     return "active";
   }
 }
 
+// SQL counterpart of getNameStatus for `names n` joined to `namespaces ns`.
+export function nameStatusSql(currentBurnBlockParam) {
+  return `CASE
+    WHEN n.revoked = true THEN 'revoked'
+    WHEN ns.namespace_manager IS NOT NULL AND ns.namespace_manager != 'none' THEN 'active'
+    WHEN n.renewal_height = 0 THEN 'active'
+    WHEN ${currentBurnBlockParam} > n.renewal_height + ${GRACE_PERIOD_BLOCKS} THEN 'expired'
+    WHEN ${currentBurnBlockParam} > n.renewal_height THEN 'grace-period'
+    WHEN ${currentBurnBlockParam} > n.renewal_height - ${EXPIRING_SOON_WINDOW} THEN 'expiring-soon'
+    ELSE 'active'
+  END`;
+}
+
 export function formatNameResponse(nameInfo) {
   return {
     full_name: `${nameInfo.name_string}.${nameInfo.namespace_string}`,
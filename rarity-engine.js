@@ -0,0 +1,220 @@
+import { domainToUnicode } from "url";
+
+// Rarity is scored from factors that each rate one trait of a name from 0
+// (common) to 1 (rare), weighted by a named profile. A name's rarity score is
+// 100 minus its weighted points as a share of the profile's total weight, so
+// scores run from 0 (rarest) to 100. Factors and profiles can be added with
+// registerRarityFactor and registerRarityProfile.
+
+export const DEFAULT_RARITY_PROFILE = "default";
+
+// Common English and crypto words that make names sought after.
+const DICTIONARY_WORDS = new Set(
+  `able about act air alpha ape apple art bank bar base bear beer best bet big
+  bird bit bitcoin black block blue boat bond book boss box boy brain bull buy
+  cake car cash cat chain chef city club coffee coin cool crypto cup dad dao
+  data day deal defi dev diamond doctor dog dragon dream earth eat egg energy
+  eth face fast fire fish flower food fox free friend fun game gas gem girl
+  gold good green gym hash heart hello hero home horse hot house ice jazz job
+  key king lab land law life light lion love luck man market max meta miner
+  mint mom money moon music name nft night ninja node ocean one open pay
+  peace pizza play power queen rich rock rose royal run safe sale satoshi sea
+  shop sky smart snow solar space stack stacks star stone sun super swap tea
+  tech time token tree trust vault wallet war water web wine wolf world yes
+  zen zero`.split(/\s+/)
+);
+
+const DIGIT_CLUBS = {
+  1: "9 club",
+  2: "99 club",
+  3: "999 club",
+  4: "10k club",
+  5: "100k club",
+};
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+const segmenter = new Intl.Segmenter("en", { granularity: "grapheme" });
+
+// Punycode names (`xn--...`) are scored on the characters they display.
+function displayCharacters(name) {
+  const displayName = name.startsWith("xn--")
+    ? domainToUnicode(name) || name
+    : name;
+
+  return Array.from(segmenter.segment(displayName), ({ segment }) => segment);
+}
+
+const LENGTH_RARITY = [0, 1, 0.95, 0.85, 0.7, 0.55, 0.4, 0.3, 0.2, 0.1, 0.1];
+
+const rarityFactors = {
+  length: (characters) => ({
+    value: LENGTH_RARITY[characters.length] || 0,
+    detail: `${characters.length} characters`,
+  }),
+
+  digit_club: (characters) => {
+    const club = characters.every((character) => /^[0-9]$/.test(character))
+      ? DIGIT_CLUBS[characters.length]
+      : undefined;
+
+    if (!club) return { value: 0, detail: null };
+
+    return {
+      value: characters.length <= 3 ? 1 : characters.length === 4 ? 0.8 : 0.5,
+      detail: club,
+    };
+  },
+
+  repeated_characters: (characters) => {
+    if (characters.length === 0) return { value: 0, detail: null };
+
+    if (characters.every((character) => character === characters[0])) {
+      return { value: 1, detail: `all "${characters[0]}"` };
+    }
+
+    let longestRun = 1;
+    let run = 1;
+    for (let i = 1; i < characters.length; i++) {
+      run = characters[i] === characters[i - 1] ? run + 1 : 1;
+      longestRun = Math.max(longestRun, run);
+    }
+
+    return longestRun >= 3
+      ? { value: 0.5, detail: `${longestRun} repeated characters in a row` }
+      : { value: 0, detail: null };
+  },
+
+  palindrome: (characters) => {
+    const isPalindrome =
+      characters.length > 0 &&
+      characters.join("") === [...characters].reverse().join("");
+
+    return {
+      value: isPalindrome ? 1 : 0,
+      detail: isPalindrome ? "reads the same backwards" : null,
+    };
+  },
+
+  dictionary_word: (characters) => {
+    const isWord = DICTIONARY_WORDS.has(characters.join(""));
+    return { value: isWord ? 1 : 0, detail: isWord ? "dictionary word" : null };
+  },
+
+  emoji: (characters) => {
+    const emojiCount = characters.filter((character) =>
+      EMOJI_PATTERN.test(character)
+    ).length;
+
+    if (emojiCount === 0) return { value: 0, detail: null };
+
+    return {
+      value: emojiCount === characters.length ? 1 : 0.6,
+      detail: `${emojiCount} emoji`,
+    };
+  },
+};
+
+// Weights are relative: a factor's share of the profile's total weight is the
+// share of the score it can take off. The built-in profiles add up to 100.
+const rarityProfiles = {
+  default: {
+    length: 55,
+    digit_club: 15,
+    repeated_characters: 10,
+    palindrome: 5,
+    dictionary_word: 10,
+    emoji: 5,
+  },
+  collector: {
+    length: 40,
+    digit_club: 25,
+    repeated_characters: 15,
+    palindrome: 10,
+    dictionary_word: 5,
+    emoji: 5,
+  },
+  brand: {
+    length: 35,
+    digit_club: 5,
+    repeated_characters: 5,
+    palindrome: 5,
+    dictionary_word: 40,
+    emoji: 10,
+  },
+  length: {
+    length: 100,
+  },
+};
+
+// `factor(characters)` receives the name's displayed characters and returns
+// `{ value, detail }` with a value between 0 and 1.
+export function registerRarityFactor(name, factor) {
+  rarityFactors[name] = factor;
+}
+
+export function registerRarityProfile(name, weights) {
+  for (const [factor, weight] of Object.entries(weights)) {
+    if (!rarityFactors[factor]) {
+      throw new Error(`Unknown rarity factor: ${factor}`);
+    }
+    if (typeof weight !== "number" || !(weight > 0)) {
+      throw new Error(`Invalid weight for rarity factor: ${factor}`);
+    }
+  }
+
+  rarityProfiles[name] = weights;
+}
+
+export function getRarityProfiles() {
+  return Object.keys(rarityProfiles);
+}
+
+export function isRarityProfile(name) {
+  return Object.prototype.hasOwnProperty.call(rarityProfiles, name);
+}
+
+export function classifyRarity(score) {
+  if (score <= 20) return "Ultra Rare";
+  if (score <= 40) return "Rare";
+  if (score <= 60) return "Uncommon";
+  if (score <= 80) return "Common";
+  return "Very Common";
+}
+
+export function scoreNameRarity(name, profile = DEFAULT_RARITY_PROFILE) {
+  const characters = displayCharacters(name);
+
+  const breakdown = Object.entries(rarityProfiles[profile]).map(
+    ([factor, weight]) => {
+      const { value, detail } = rarityFactors[factor](characters);
+
+      return {
+        factor,
+        weight,
+        value,
+        points: Math.round(weight * value * 100) / 100,
+        detail,
+      };
+    }
+  );
+
+  const points = breakdown.reduce((total, entry) => total + entry.points, 0);
+  const totalWeight = breakdown.reduce(
+    (total, entry) => total + entry.weight,
+    0
+  );
+  const score =
+    totalWeight > 0 ? Math.round(100 - (100 * points) / totalWeight) : 100;
+
+  return {
+    profile,
+    rarity_score: score,
+    rarity_classification: classifyRarity(score),
+    has_pattern:
+      rarityFactors.digit_club(characters).value > 0 ||
+      rarityFactors.repeated_characters(characters).value > 0,
+    is_palindrome: rarityFactors.palindrome(characters).value > 0,
+    breakdown,
+  };
+}
@@ -4,11 +4,15 @@ import dotenv from "dotenv";
 import Fastify from "fastify";
 import { setupCaching } from "./cache-middleware.js";
 import { checkPoolHealth } from "./db.js";
+import marketHandlers from "./handlers/market-handlers.js";
 import nameHandlers from "./handlers/name-handlers.js";
 import namespaceHandlers from "./handlers/namespace-handlers.js";
+import ownerHandlers from "./handlers/owner-handlers.js";
+import statsHandlers from "./handlers/stats-handlers.js";
 import subdomainHandlers from "./handlers/subdomain-handlers.js";
 import tokenHandlers from "./handlers/token-handlers.js";
 import zonefileHandlers from "./handlers/zonefile-handlers.js";
+import { startIndexer } from "./indexer/index.js";
 
 dotenv.config();
 
@@ -83,6 +87,9 @@ const handlers = {
   ...tokenHandlers,
   ...subdomainHandlers,
   ...zonefileHandlers,
+  ...marketHandlers,
+  ...statsHandlers,
+  ...ownerHandlers,
 };
 
 fastify.get("/health", async (request, reply) => {
@@ -107,6 +114,33 @@ function registerRoutes() {
   fastify.get("/names/valid", createNetworkHandler(handlers.getValidNames));
   fastify.get("/names/expired", createNetworkHandler(handlers.getExpiredNames));
   fastify.get("/names/revoked", createNetworkHandler(handlers.getRevokedNames));
+  fastify.get(
+    "/names/expiring-soon",
+    createNetworkHandler(handlers.getExpiringNames)
+  );
+  fastify.get(
+    "/names/grace-period",
+    createNetworkHandler(handlers.getGracePeriodNames)
+  );
+  fastify.get("/names/recent", createNetworkHandler(handlers.getRecentNames));
+  fastify.get(
+    "/names/imported",
+    createNetworkHandler(handlers.getImportedNames)
+  );
+  fastify.get(
+    "/names/address/:address",
+    createNetworkHandler(handlers.getNamesByAddress)
+  );
+  fastify.get("/names/search", createNetworkHandler(handlers.searchNames));
+  fastify.post("/names/batch", createNetworkHandler(handlers.getNamesBatch));
+  fastify.post(
+    "/names/addresses",
+    createNetworkHandler(handlers.getNamesByAddresses)
+  );
+  fastify.post(
+    "/names/availability",
+    createNetworkHandler(handlers.getNameAvailability)
+  );
   fastify.get(
     "/names/address/:address/valid",
     createNetworkHandler(handlers.getValidNamesByAddress)
@@ -119,10 +153,22 @@ function registerRoutes() {
     "/names/address/:address/expiring-soon",
     createNetworkHandler(handlers.getExpiringNamesByAddress)
   );
+  fastify.get(
+    "/names/address/:address/grace-period",
+    createNetworkHandler(handlers.getGracePeriodNamesByAddress)
+  );
   fastify.get(
     "/names/address/:address/revoked",
     createNetworkHandler(handlers.getRevokedNamesByAddress)
   );
+  fastify.get(
+    "/names/address/:address/primary",
+    createNetworkHandler(handlers.getPrimaryNameByAddress)
+  );
+  fastify.get(
+    "/names/address/:address/preorders",
+    createNetworkHandler(handlers.getPreordersByAddress)
+  );
   fastify.get(
     "/names/:full_name",
     createNetworkHandler(handlers.getNameDetails)
@@ -144,11 +190,31 @@ function registerRoutes() {
     "/names/:namespace/:name/can-register",
     createNetworkHandler(handlers.canNameBeRegistered)
   );
+  fastify.get(
+    "/names/:namespace/:name/price",
+    createNetworkHandler(handlers.getNamePrice)
+  );
+  fastify.get(
+    "/names/:namespace/:name/suggestions",
+    createNetworkHandler(handlers.getNameSuggestions)
+  );
   fastify.get("/token/last-id", createNetworkHandler(handlers.getLastTokenId));
   fastify.get(
     "/names/:full_name/renewal",
     createNetworkHandler(handlers.getNameRenewal)
   );
+  fastify.get(
+    "/names/:full_name/history",
+    createNetworkHandler(handlers.getNameHistory)
+  );
+  fastify.get(
+    "/names/:full_name/rarity",
+    createNetworkHandler(handlers.getNameRarity)
+  );
+  fastify.get(
+    "/names/:full_name/listing",
+    createNetworkHandler(handlers.getNameListing)
+  );
   fastify.get(
     "/names/:full_name/can-resolve",
     createNetworkHandler(handlers.canResolve)
@@ -168,6 +234,18 @@ function registerRoutes() {
     "/namespaces/:namespace/rare-names",
     createNetworkHandler(handlers.getRarestNames)
   );
+  fastify.get(
+    "/namespaces/:namespace/imported",
+    createNetworkHandler(handlers.getImportedNamesByNamespace)
+  );
+  fastify.get(
+    "/namespaces/:namespace/holders",
+    createNetworkHandler(handlers.getNamespaceHolders)
+  );
+  fastify.get(
+    "/namespaces/:namespace/manager",
+    createNetworkHandler(handlers.getNamespaceManager)
+  );
   fastify.get(
     "/subdomains/:full_name",
     createNetworkHandler(handlers.getSubdomains)
@@ -192,6 +270,24 @@ function registerRoutes() {
     "/zonefile/:full_name/profile",
     createNetworkHandler(handlers.getProfileZonefile)
   );
+  fastify.get(
+    "/market/listings",
+    createNetworkHandler(handlers.getMarketListings)
+  );
+  fastify.get("/stats", createNetworkHandler(handlers.getStats));
+  fastify.get(
+    "/stats/registrations",
+    createNetworkHandler(handlers.getRegistrationStats)
+  );
+  fastify.get("/owners/top", createNetworkHandler(handlers.getTopOwners));
+  fastify.get(
+    "/addresses/:address/summary",
+    createNetworkHandler(handlers.getAddressSummary)
+  );
+  fastify.get(
+    "/managers/:address/namespaces",
+    createNetworkHandler(handlers.getManagedNamespaces)
+  );
 
   fastify.get("/testnet/names", createNetworkHandler(handlers.getAllNames));
   fastify.get(
@@ -206,6 +302,42 @@ function registerRoutes() {
     "/testnet/names/revoked",
     createNetworkHandler(handlers.getRevokedNames)
   );
+  fastify.get(
+    "/testnet/names/expiring-soon",
+    createNetworkHandler(handlers.getExpiringNames)
+  );
+  fastify.get(
+    "/testnet/names/grace-period",
+    createNetworkHandler(handlers.getGracePeriodNames)
+  );
+  fastify.get(
+    "/testnet/names/recent",
+    createNetworkHandler(handlers.getRecentNames)
+  );
+  fastify.get(
+    "/testnet/names/imported",
+    createNetworkHandler(handlers.getImportedNames)
+  );
+  fastify.get(
+    "/testnet/names/address/:address",
+    createNetworkHandler(handlers.getNamesByAddress)
+  );
+  fastify.get(
+    "/testnet/names/search",
+    createNetworkHandler(handlers.searchNames)
+  );
+  fastify.post(
+    "/testnet/names/batch",
+    createNetworkHandler(handlers.getNamesBatch)
+  );
+  fastify.post(
+    "/testnet/names/addresses",
+    createNetworkHandler(handlers.getNamesByAddresses)
+  );
+  fastify.post(
+    "/testnet/names/availability",
+    createNetworkHandler(handlers.getNameAvailability)
+  );
   fastify.get(
     "/testnet/names/address/:address/valid",
     createNetworkHandler(handlers.getValidNamesByAddress)
@@ -218,10 +350,22 @@ function registerRoutes() {
     "/testnet/names/address/:address/expiring-soon",
     createNetworkHandler(handlers.getExpiringNamesByAddress)
   );
+  fastify.get(
+    "/testnet/names/address/:address/grace-period",
+    createNetworkHandler(handlers.getGracePeriodNamesByAddress)
+  );
   fastify.get(
     "/testnet/names/address/:address/revoked",
     createNetworkHandler(handlers.getRevokedNamesByAddress)
   );
+  fastify.get(
+    "/testnet/names/address/:address/primary",
+    createNetworkHandler(handlers.getPrimaryNameByAddress)
+  );
+  fastify.get(
+    "/testnet/names/address/:address/preorders",
+    createNetworkHandler(handlers.getPreordersByAddress)
+  );
   fastify.get(
     "/testnet/names/:full_name",
     createNetworkHandler(handlers.getNameDetails)
@@ -246,6 +390,14 @@ function registerRoutes() {
     "/testnet/names/:namespace/:name/can-register",
     createNetworkHandler(handlers.canNameBeRegistered)
   );
+  fastify.get(
+    "/testnet/names/:namespace/:name/price",
+    createNetworkHandler(handlers.getNamePrice)
+  );
+  fastify.get(
+    "/testnet/names/:namespace/:name/suggestions",
+    createNetworkHandler(handlers.getNameSuggestions)
+  );
   fastify.get(
     "/testnet/token/last-id",
     createNetworkHandler(handlers.getLastTokenId)
@@ -254,6 +406,18 @@ function registerRoutes() {
     "/testnet/names/:full_name/renewal",
     createNetworkHandler(handlers.getNameRenewal)
   );
+  fastify.get(
+    "/testnet/names/:full_name/history",
+    createNetworkHandler(handlers.getNameHistory)
+  );
+  fastify.get(
+    "/testnet/names/:full_name/rarity",
+    createNetworkHandler(handlers.getNameRarity)
+  );
+  fastify.get(
+    "/testnet/names/:full_name/listing",
+    createNetworkHandler(handlers.getNameListing)
+  );
   fastify.get(
     "/testnet/names/:full_name/can-resolve",
     createNetworkHandler(handlers.canResolve)
@@ -282,6 +446,18 @@ function registerRoutes() {
     "/testnet/namespaces/:namespace/rare-names",
     createNetworkHandler(handlers.getRarestNames)
   );
+  fastify.get(
+    "/testnet/namespaces/:namespace/imported",
+    createNetworkHandler(handlers.getImportedNamesByNamespace)
+  );
+  fastify.get(
+    "/testnet/namespaces/:namespace/holders",
+    createNetworkHandler(handlers.getNamespaceHolders)
+  );
+  fastify.get(
+    "/testnet/namespaces/:namespace/manager",
+    createNetworkHandler(handlers.getNamespaceManager)
+  );
   fastify.get(
     "/testnet/subdomains/:full_name",
     createNetworkHandler(handlers.getSubdomains)
@@ -306,6 +482,27 @@ function registerRoutes() {
     "/testnet/zonefile/:full_name/profile",
     createNetworkHandler(handlers.getProfileZonefile)
   );
+  fastify.get(
+    "/testnet/market/listings",
+    createNetworkHandler(handlers.getMarketListings)
+  );
+  fastify.get("/testnet/stats", createNetworkHandler(handlers.getStats));
+  fastify.get(
+    "/testnet/stats/registrations",
+    createNetworkHandler(handlers.getRegistrationStats)
+  );
+  fastify.get(
+    "/testnet/owners/top",
+    createNetworkHandler(handlers.getTopOwners)
+  );
+  fastify.get(
+    "/testnet/addresses/:address/summary",
+    createNetworkHandler(handlers.getAddressSummary)
+  );
+  fastify.get(
+    "/testnet/managers/:address/namespaces",
+    createNetworkHandler(handlers.getManagedNamespaces)
+  );
 }
 
 const start = async () => {
@@ -313,6 +510,12 @@ const start = async () => {
     registerRoutes();
     await fastify.listen({ port: 3000, host: "0.0.0.0" });
     fastify.log.info(`Server is running at http://localhost:3000`);
+
+    if (process.env.INDEXER_ENABLED === "true") {
+      const network =
+        process.env.INDEXER_NETWORK === "testnet" ? "testnet" : "mainnet";
+      await startIndexer({ network, ...NETWORK_CONFIG[network] });
+    }
   } catch (err) {
     fastify.log.error(err);
     process.exit(1);
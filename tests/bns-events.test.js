@@ -0,0 +1,383 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { extractBnsEvents } from "../indexer/bns-events.js";
+import { processBlock } from "../indexer/index.js";
+import {
+  ensureIndexerSchema,
+  findMissingIndexerColumns,
+} from "../indexer/schema.js";
+import { getRarityProfiles, scoreNameRarity } from "../rarity-engine.js";
+import {
+  ALICE,
+  BNS_CONTRACT,
+  BOB,
+  CAROL,
+  COMMISSION,
+  burnName,
+  buyInUstx,
+  launchNamespace,
+  listInUstx,
+  newBlock,
+  newName,
+  renewName,
+  setPrimaryName,
+  transferName,
+  unlistInUstx,
+} from "./fixtures/bns-blocks.js";
+import { createTestPool } from "./fixtures/pglite-pool.js";
+
+const SCHEMA = "public";
+
+let pool;
+
+before(async () => {
+  pool = await createTestPool();
+});
+
+after(async () => {
+  await pool.end();
+});
+
+const replay = (block) =>
+  processBlock(block, {
+    network: "mainnet",
+    schema: SCHEMA,
+    contract: BNS_CONTRACT,
+    pool,
+  });
+
+async function findName(name, namespace = "btc") {
+  const { rows } = await pool.query(
+    `SELECT * FROM names WHERE name_string = $1 AND namespace_string = $2`,
+    [name, namespace]
+  );
+  return rows[0];
+}
+
+async function historyOf(name, namespace = "btc") {
+  const { rows } = await pool.query(
+    `SELECT event, owner, previous_owner, renewal_height, burn_block_height
+     FROM name_history
+     WHERE name_string = $1 AND namespace_string = $2
+     ORDER BY id`,
+    [name, namespace]
+  );
+  return rows;
+}
+
+async function rarityOf(name, namespace = "btc") {
+  const { rows } = await pool.query(
+    `SELECT profile, rarity_score FROM name_rarity
+     WHERE name_string = $1 AND namespace_string = $2
+     ORDER BY profile`,
+    [name, namespace]
+  );
+  return rows;
+}
+
+const expectedRarity = (name) =>
+  [...getRarityProfiles()].sort().map((profile) => ({
+    profile,
+    rarity_score: scoreNameRarity(name, profile).rarity_score,
+  }));
+
+async function findListing(id) {
+  const { rows } = await pool.query(
+    `SELECT id::text, price::text, commission, listed_at, txid
+     FROM market_listings WHERE id = $1`,
+    [id]
+  );
+  return rows[0];
+}
+
+// Runs first: the indexer refuses to start until `db:setup` has run.
+test("db:setup creates every column the indexer writes", async () => {
+  const missing = await findMissingIndexerColumns(pool, SCHEMA);
+  assert.ok(missing.includes("names.owner"));
+  assert.ok(missing.includes("market_listings.listed_at"));
+
+  await ensureIndexerSchema(pool, SCHEMA);
+
+  assert.deepEqual(await findMissingIndexerColumns(pool, SCHEMA), []);
+});
+
+test("only committed prints from the BNS-V2 contract are read", () => {
+  const print = newName({
+    name: "alice",
+    namespace: "btc",
+    id: 1,
+    owner: ALICE,
+  });
+  const block = newBlock(900000, [
+    print,
+    { print, contract: `${ALICE}.other-contract` },
+    { print, committed: false },
+  ]);
+
+  const events = extractBnsEvents(block, BNS_CONTRACT);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].txid, block.events[0].txid);
+  assert.equal(events[0].value.topic, "new-name");
+});
+
+test("namespace launches store the namespace and its price function", async () => {
+  await replay(
+    newBlock(899990, [
+      launchNamespace({ namespace: "btc", launchedAt: 899990, lifetime: 0 }),
+    ])
+  );
+
+  const { rows } = await pool.query(
+    `SELECT namespace_import, launched_at, price_function_base::text,
+       price_function_buckets, manager_frozen
+     FROM namespaces WHERE namespace_string = 'btc'`
+  );
+  assert.deepEqual(rows[0], {
+    namespace_import: ALICE,
+    launched_at: 899990,
+    price_function_base: "10",
+    price_function_buckets: "[6,5,4,3]",
+    manager_frozen: true,
+  });
+});
+
+test("new-name inserts the name and records its registration", async () => {
+  const block = newBlock(900000, [
+    newName({
+      name: "alice",
+      namespace: "btc",
+      id: 1,
+      owner: ALICE,
+      registeredAt: 900000,
+      preorderedBy: ALICE,
+      renewalHeight: 952560,
+      stxBurn: 2000000,
+    }),
+  ]);
+
+  const applied = await replay(block);
+
+  assert.deepEqual(applied, [
+    {
+      topic: "new-name",
+      name: "alice",
+      namespace: "btc",
+      txid: block.events[0].txid,
+      event_index: 0,
+    },
+  ]);
+
+  const row = await findName("alice");
+  assert.equal(String(row.id), "1");
+  assert.equal(row.owner, ALICE);
+  assert.equal(row.registered_at, 900000);
+  assert.equal(row.imported_at, null);
+  assert.equal(row.renewal_height, 952560);
+  assert.equal(row.stx_burn, "2000000");
+  assert.equal(row.revoked, false);
+
+  assert.deepEqual(await historyOf("alice"), [
+    {
+      event: "register",
+      owner: ALICE,
+      previous_owner: null,
+      renewal_height: 952560,
+      burn_block_height: 900000,
+    },
+  ]);
+});
+
+test("new names are scored under every rarity profile", async () => {
+  assert.deepEqual(await rarityOf("alice"), expectedRarity("alice"));
+});
+
+test("renew-name moves the renewal height", async () => {
+  await replay(
+    newBlock(900100, [
+      renewName({
+        name: "alice",
+        namespace: "btc",
+        id: 1,
+        owner: ALICE,
+        registeredAt: 900000,
+        renewalHeight: 1005120,
+        stxBurn: 2000000,
+      }),
+    ])
+  );
+
+  assert.equal((await findName("alice")).renewal_height, 1005120);
+  assert.deepEqual((await historyOf("alice")).at(-1), {
+    event: "renew",
+    owner: ALICE,
+    previous_owner: null,
+    renewal_height: 1005120,
+    burn_block_height: 900100,
+  });
+});
+
+test("market prints list, unlist and sell names", async () => {
+  const listBlock = newBlock(900200, [listInUstx({ id: 1, price: 5000000 })]);
+  await replay(listBlock);
+
+  assert.deepEqual(await findListing(1), {
+    id: "1",
+    price: "5000000",
+    commission: COMMISSION,
+    listed_at: 900200,
+    txid: listBlock.events[0].txid,
+  });
+
+  // Relisting replaces the price.
+  await replay(newBlock(900201, [listInUstx({ id: 1, price: 7000000 })]));
+  assert.equal((await findListing(1)).price, "7000000");
+
+  await replay(newBlock(900202, [unlistInUstx({ id: 1 })]));
+  assert.equal(await findListing(1), undefined);
+
+  await replay(newBlock(900203, [listInUstx({ id: 1, price: 5000000 })]));
+  const applied = await replay(newBlock(900204, [buyInUstx({ id: 1 })]));
+
+  assert.equal(applied[0].topic, "buy-in-ustx");
+  assert.equal(applied[0].id, "1");
+  assert.equal(await findListing(1), undefined);
+});
+
+test("transfer-name changes the owner and ends its listing", async () => {
+  await replay(newBlock(900300, [listInUstx({ id: 1, price: 5000000 })]));
+  await replay(
+    newBlock(900301, [
+      transferName({
+        name: "alice",
+        namespace: "btc",
+        id: 1,
+        owner: BOB,
+        registeredAt: 900000,
+        renewalHeight: 1005120,
+        stxBurn: 2000000,
+      }),
+    ])
+  );
+
+  assert.equal((await findName("alice")).owner, BOB);
+  assert.equal(await findListing(1), undefined);
+  assert.deepEqual((await historyOf("alice")).at(-1), {
+    event: "transfer",
+    owner: BOB,
+    previous_owner: ALICE,
+    renewal_height: null,
+    burn_block_height: 900301,
+  });
+});
+
+test("burn-name deletes the name and keeps its history", async () => {
+  await replay(newBlock(900400, [listInUstx({ id: 1, price: 5000000 })]));
+  await replay(
+    newBlock(900401, [
+      burnName({ name: "alice", namespace: "btc", id: 1, owner: BOB }),
+    ])
+  );
+
+  assert.equal(await findName("alice"), undefined);
+  assert.equal(await findListing(1), undefined);
+  assert.deepEqual(
+    (await historyOf("alice")).map(({ event }) => event),
+    ["register", "renew", "transfer", "burn"]
+  );
+});
+
+test("a failing event rolls back the whole block", async () => {
+  const block = newBlock(900500, [
+    newName({ name: "bob", namespace: "btc", id: 2, owner: BOB }),
+    // Same token id as bob, which breaks the primary key.
+    newName({ name: "carol", namespace: "btc", id: 2, owner: BOB }),
+  ]);
+
+  const pendingTxid = `0x${"ab".repeat(32)}`;
+  block.transactions.push({ txid: pendingTxid, status: "success" });
+  await pool.query(
+    `INSERT INTO name_preorders (hashed_salted_fqn, buyer, stx_burned, txid)
+     VALUES ('0x01', $1, 2000000, $2)`,
+    [BOB, pendingTxid]
+  );
+
+  await assert.rejects(replay(block));
+
+  assert.equal(await findName("bob"), undefined);
+  assert.deepEqual(await historyOf("bob"), []);
+
+  const pendingPreorders = () =>
+    pool.query(`SELECT txid FROM name_preorders WHERE created_at IS NULL`);
+  assert.equal((await pendingPreorders()).rows.length, 1);
+
+  // Mined transactions leave the mempool with the rest of the block.
+  await replay({ ...block, events: block.events.slice(0, 1) });
+
+  assert.equal((await findName("bob")).owner, BOB);
+  assert.deepEqual((await pendingPreorders()).rows, []);
+});
+
+test("set-primary-name calls set the sender's primary name until it moves", async () => {
+  const primaryNameOf = async (owner) => {
+    const { rows } = await pool.query(
+      `SELECT name_id::text, txid, set_at FROM primary_names WHERE owner = $1`,
+      [owner]
+    );
+    return rows[0];
+  };
+
+  await replay(
+    newBlock(900600, [
+      newName({ name: "frank", namespace: "btc", id: 10, owner: CAROL }),
+      newName({ name: "erin", namespace: "btc", id: 11, owner: CAROL }),
+    ])
+  );
+
+  const block = newBlock(900601, []);
+  const call = await setPrimaryName({ id: 11 });
+  const failedCall = await setPrimaryName({ id: 10 }, "abort_by_response");
+  block.transactions.push(call, failedCall);
+
+  const applied = await replay(block);
+
+  assert.deepEqual(applied, [{ topic: "set-primary-name", txid: call.txid }]);
+  assert.deepEqual(await primaryNameOf(CAROL), {
+    name_id: "11",
+    txid: call.txid,
+    set_at: 900601,
+  });
+
+  await replay(
+    newBlock(900602, [
+      transferName({ name: "erin", namespace: "btc", id: 11, owner: BOB }),
+    ])
+  );
+
+  assert.equal(await primaryNameOf(CAROL), undefined);
+});
+
+test("db:setup backfills names written before the history trigger", async () => {
+  await pool.query(`DROP TRIGGER name_history_trigger ON names`);
+  await pool.query(
+    `INSERT INTO names (id, name_string, namespace_string, owner, renewal_height)
+     VALUES (3, 'dave', 'btc', $1, 950000)`,
+    [ALICE]
+  );
+
+  await ensureIndexerSchema(pool, SCHEMA);
+  await ensureIndexerSchema(pool, SCHEMA);
+
+  assert.deepEqual(await historyOf("dave"), [
+    {
+      event: "snapshot",
+      owner: ALICE,
+      previous_owner: null,
+      renewal_height: 950000,
+      burn_block_height: null,
+    },
+  ]);
+  assert.deepEqual(await rarityOf("dave"), expectedRarity("dave"));
+  // Burned names keep their history and get no snapshot.
+  assert.equal((await historyOf("alice")).at(-1).event, "burn");
+});
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { Cl, cvToHex } from "@stacks/transactions";
+import {
+  bufferToString,
+  clarityToJs,
+  decodeClarityHex,
+  toAmount,
+  toHeight,
+} from "../indexer/clarity.js";
+import { ALICE, BNS_CONTRACT } from "./fixtures/bns-blocks.js";
+
+test("integers decode to BigInt without losing uint128 precision", () => {
+  const max = 2n ** 128n - 1n;
+
+  assert.equal(clarityToJs(Cl.uint(max)), max);
+  assert.equal(clarityToJs(Cl.int(-5)), -5n);
+  assert.equal(toAmount(clarityToJs(Cl.uint(max))), max.toString());
+});
+
+test("optionals collapse and responses unwrap", () => {
+  assert.equal(clarityToJs(Cl.none()), null);
+  assert.equal(clarityToJs(Cl.some(Cl.uint(7))), 7n);
+  assert.equal(clarityToJs(Cl.ok(Cl.bool(true))), true);
+  assert.equal(clarityToJs(Cl.error(Cl.uint(3))), 3n);
+});
+
+test("principals and strings decode as plain strings", () => {
+  assert.equal(clarityToJs(Cl.principal(ALICE)), ALICE);
+  assert.equal(clarityToJs(Cl.principal(BNS_CONTRACT)), BNS_CONTRACT);
+  assert.equal(clarityToJs(Cl.stringAscii("new-name")), "new-name");
+});
+
+test("print payloads decode from hex into nested objects", () => {
+  const value = decodeClarityHex(
+    cvToHex(
+      Cl.tuple({
+        topic: Cl.stringAscii("new-name"),
+        name: Cl.tuple({
+          name: Cl.bufferFromAscii("alice"),
+          namespace: Cl.bufferFromAscii("btc"),
+        }),
+        buckets: Cl.list([Cl.uint(1), Cl.uint(2)]),
+        "registered-at": Cl.some(Cl.uint(840000)),
+      })
+    )
+  );
+
+  assert.equal(value.topic, "new-name");
+  assert.equal(bufferToString(value.name.name), "alice");
+  assert.equal(bufferToString(value.name.namespace), "btc");
+  assert.deepEqual(value.buckets, [1n, 2n]);
+  assert.equal(toHeight(value["registered-at"]), 840000);
+});
+
+test("missing values stay null", () => {
+  assert.equal(bufferToString(null), null);
+  assert.equal(toHeight(undefined), null);
+  assert.equal(toAmount(null), null);
+  assert.equal(bufferToString("0x616263"), "abc");
+});
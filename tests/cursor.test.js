@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildPage,
+  decodeCursor,
+  encodeCursor,
+  filterConditions,
+  keyset,
+  keysetCondition,
+  parsePagination,
+  queryParams,
+} from "../query-utils.js";
+
+const byPrice = keyset("price_asc", ["integer", "integer"], (row) => [
+  row.price,
+  row.id,
+]);
+
+test("cursors round-trip their values for the same key", () => {
+  const cursor = encodeCursor([840000, "alice.btc"], "renewal_height");
+
+  assert.deepEqual(
+    decodeCursor(cursor, "renewal_height", ["integer", "string"]),
+    [840000, "alice.btc"]
+  );
+});
+
+test("cursors issued for another ordering are rejected", () => {
+  const cursor = encodeCursor(["alice.btc"], "name_asc");
+
+  assert.equal(decodeCursor(cursor, "name_desc", ["string"]), null);
+  assert.equal(decodeCursor(cursor, "registered_at_asc"), null);
+});
+
+test("cursor values must match the expected types", () => {
+  const key = "registered_at_asc";
+
+  assert.deepEqual(
+    decodeCursor(encodeCursor(["1200", "a.btc"], key), key, [
+      "integer",
+      "string",
+    ]),
+    ["1200", "a.btc"]
+  );
+  assert.equal(
+    decodeCursor(encodeCursor(["abc", "a.btc"], key), key, [
+      "integer",
+      "string",
+    ]),
+    null
+  );
+  assert.equal(
+    decodeCursor(encodeCursor([1.5, "a.btc"], key), key, ["integer", "string"]),
+    null
+  );
+  assert.equal(
+    decodeCursor(encodeCursor([1200], key), key, ["integer", "string"]),
+    null
+  );
+  assert.equal(
+    decodeCursor(encodeCursor(["a\u0000b"], key), key, ["string"]),
+    null
+  );
+});
+
+test("malformed cursors decode to null", () => {
+  assert.equal(decodeCursor("not-a-cursor"), null);
+  assert.equal(decodeCursor(Buffer.from("null").toString("base64url")), null);
+  assert.equal(
+    decodeCursor(Buffer.from('["alice.btc"]').toString("base64url")),
+    null
+  );
+});
+
+test("pagination clamps limit and only honours cursors for its keyset", () => {
+  assert.deepEqual(parsePagination({ limit: "1000", offset: "-4" }, byPrice), {
+    limit: 100,
+    offset: 0,
+    cursor: null,
+    cursorValues: null,
+    error: null,
+  });
+  assert.equal(parsePagination({ limit: "0" }, byPrice).limit, 50);
+  assert.equal(parsePagination({}, byPrice, 20).limit, 20);
+
+  const cursor = encodeCursor(["500", "7"], "price_asc");
+  const page = parsePagination({ cursor, offset: "20" }, byPrice);
+  assert.deepEqual(page.cursorValues, ["500", "7"]);
+  assert.equal(page.offset, 0);
+
+  const otherKeyset = keyset("price_desc", byPrice.types, byPrice.getValues);
+  assert.equal(
+    parsePagination({ cursor }, otherKeyset).error,
+    "Invalid cursor"
+  );
+});
+
+test("pagination rejects limits and offsets that aren't integers", () => {
+  for (const query of [{ limit: "abc" }, { limit: "1.5" }, { offset: "x" }]) {
+    assert.equal(
+      parsePagination(query, byPrice).error,
+      "limit and offset must be integers"
+    );
+  }
+});
+
+test("pages hand out a cursor only when a row is left over", () => {
+  const rows = [
+    { id: 1, price: "10" },
+    { id: 2, price: "20" },
+    { id: 3, price: "30" },
+  ];
+
+  const page = buildPage(rows, 2, byPrice, "listings");
+  assert.deepEqual(page.listings, rows.slice(0, 2));
+  assert.deepEqual(decodeCursor(page.next_cursor, "price_asc"), ["20", 2]);
+
+  assert.deepEqual(buildPage(rows, 3, byPrice), {
+    names: rows,
+    next_cursor: null,
+  });
+});
+
+test("filters and keyset conditions share one parameter list", () => {
+  const { values, param } = queryParams([100000]);
+
+  const conditions = filterConditions(
+    { "namespace_string =": "btc", "owner =": undefined, "price >=": 0 },
+    param
+  );
+  conditions.push(
+    keysetCondition(["price", "id"], "desc", [param("500"), param(7)])
+  );
+
+  assert.deepEqual(conditions, [
+    "namespace_string = $2",
+    "price >= $3",
+    "(price, id) < ($4, $5)",
+  ]);
+  assert.deepEqual(values, [100000, "btc", 0, "500", 7]);
+});
@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { giniCoefficient } from "../distribution-utils.js";
+
+// Feeds holdings to giniCoefficient the way the holders query aggregates
+// them: ranked ascending, with the sum of rank * names.
+function giniOf(holdings) {
+  const sorted = [...holdings].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, names) => sum + names, 0);
+  const weightedSum = sorted.reduce(
+    (sum, names, index) => sum + (index + 1) * names,
+    0
+  );
+
+  return giniCoefficient(sorted.length, total, weightedSum);
+}
+
+// Mean absolute difference between every pair of holders, halved and divided
+// by the mean: the textbook definition.
+function referenceGini(holdings) {
+  const n = holdings.length;
+  const mean = holdings.reduce((sum, names) => sum + names, 0) / n;
+  let differences = 0;
+  for (const a of holdings) {
+    for (const b of holdings) differences += Math.abs(a - b);
+  }
+
+  return differences / (2 * n * n * mean);
+}
+
+test("equal holdings have a Gini coefficient of 0", () => {
+  assert.equal(giniOf([3, 3, 3, 3]), 0);
+  assert.equal(giniOf([7]), 0);
+});
+
+test("the rank-weighted form matches the textbook definition", () => {
+  for (const holdings of [
+    [1, 3],
+    [1, 1, 1, 97],
+    [5, 2, 9, 1, 1, 40],
+    [10, 20, 30, 40, 50],
+  ]) {
+    assert.ok(Math.abs(giniOf(holdings) - referenceGini(holdings)) < 1e-12);
+  }
+
+  assert.equal(giniOf([1, 3]), 0.25);
+});
+
+test("concentration approaches 1 as one holder takes everything", () => {
+  const holdings = [...Array(999).fill(1), 1000000];
+
+  assert.ok(giniOf(holdings) > 0.99);
+  assert.ok(giniOf(holdings) < 1);
+});
+
+test("empty namespaces have a Gini coefficient of 0", () => {
+  assert.equal(giniCoefficient(0, 0, 0), 0);
+});
@@ -0,0 +1,182 @@
+import {
+  Cl,
+  cvToHex,
+  getAddressFromPublicKey,
+  makeUnsignedContractCall,
+  privateKeyToPublic,
+} from "@stacks/transactions";
+
+// Builders for BNS-V2 print events, shaped as the contract prints them, and
+// for the `/new_block` payloads a Stacks node posts to the indexer.
+
+export const BNS_CONTRACT = "SP2QEZ06AGJ3RKJPBV14SY1V5BBFNAW33D96YPGZF.BNS-V2";
+
+export const ALICE = "SP2GT38D1M6GT38D1M6GT38D1M6GT38D1M68N3DZK";
+export const BOB = "SP2SB5CNJPASB5CNJPASB5CNJPASB5CNJPA41CMMH";
+export const COMMISSION = "SP31W7GY3RF1W7GY3RF1W7GY3RF1W7GY3RF4DXM37.gamma";
+
+const optional = (value, toCV) =>
+  value === null || value === undefined ? Cl.none() : Cl.some(toCV(value));
+
+function fullName(name, namespace) {
+  return Cl.tuple({
+    name: Cl.bufferFromAscii(name),
+    namespace: Cl.bufferFromAscii(namespace),
+  });
+}
+
+function nameProperties({
+  owner,
+  registeredAt = null,
+  importedAt = null,
+  preorderedBy = null,
+  renewalHeight = 0,
+  stxBurn = 0,
+}) {
+  return Cl.some(
+    Cl.tuple({
+      "registered-at": optional(registeredAt, Cl.uint),
+      "imported-at": optional(importedAt, Cl.uint),
+      "hashed-salted-fqn-preorder": Cl.none(),
+      "preordered-by": optional(preorderedBy, Cl.principal),
+      "renewal-height": Cl.uint(renewalHeight),
+      "stx-burn": Cl.uint(stxBurn),
+      owner: Cl.principal(owner),
+    })
+  );
+}
+
+function namePrint(topic, { name, namespace, id, owner, ...properties }) {
+  return Cl.tuple({
+    topic: Cl.stringAscii(topic),
+    owner: Cl.principal(owner),
+    name: fullName(name, namespace),
+    id: Cl.uint(id),
+    properties: nameProperties({ owner, ...properties }),
+  });
+}
+
+export const newName = (fields) => namePrint("new-name", fields);
+export const transferName = (fields) => namePrint("transfer-name", fields);
+export const renewName = (fields) => namePrint("renew-name", fields);
+
+export function burnName({ name, namespace, id, owner }) {
+  return Cl.tuple({
+    topic: Cl.stringAscii("burn-name"),
+    owner: Cl.principal(owner),
+    name: fullName(name, namespace),
+    id: Cl.uint(id),
+  });
+}
+
+export function launchNamespace({ namespace, launchedAt, lifetime }) {
+  return Cl.tuple({
+    namespace: Cl.bufferFromAscii(namespace),
+    status: Cl.stringAscii("launch"),
+    properties: Cl.some(
+      Cl.tuple({
+        "namespace-manager": Cl.none(),
+        "manager-transferable": Cl.bool(false),
+        "manager-frozen": Cl.bool(true),
+        "namespace-import": Cl.principal(ALICE),
+        "revealed-at": Cl.uint(launchedAt - 10),
+        "launched-at": Cl.some(Cl.uint(launchedAt)),
+        lifetime: Cl.uint(lifetime),
+        "can-update-price-function": Cl.bool(true),
+        "price-function": Cl.tuple({
+          buckets: Cl.list([6, 5, 4, 3].map((bucket) => Cl.uint(bucket))),
+          base: Cl.uint(10),
+          coeff: Cl.uint(1),
+          "nonalpha-discount": Cl.uint(2),
+          "no-vowel-discount": Cl.uint(4),
+        }),
+      })
+    ),
+  });
+}
+
+export function listInUstx({ id, price }) {
+  return Cl.tuple({
+    a: Cl.stringAscii("list-in-ustx"),
+    id: Cl.uint(id),
+    commission: Cl.principal(COMMISSION),
+    price: Cl.uint(price),
+  });
+}
+
+export const unlistInUstx = ({ id }) =>
+  Cl.tuple({ a: Cl.stringAscii("unlist-in-ustx"), id: Cl.uint(id) });
+
+export const buyInUstx = ({ id }) =>
+  Cl.tuple({ a: Cl.stringAscii("buy-in-ustx"), id: Cl.uint(id) });
+
+// Sender of the fixture contract calls. The indexer only reads a call's
+// sender and arguments, so the calls are left unsigned.
+const CALLER_PUBLIC_KEY = privateKeyToPublic(
+  "edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01"
+);
+export const CAROL = getAddressFromPublicKey(CALLER_PUBLIC_KEY, "mainnet");
+
+let nextNonce = 0;
+
+// A mined call to the BNS-V2 contract from CAROL, as it appears in a block's
+// `transactions`.
+export async function contractCall(
+  functionName,
+  functionArgs,
+  status = "success"
+) {
+  const [contractAddress, contractName] = BNS_CONTRACT.split(".");
+  const transaction = await makeUnsignedContractCall({
+    contractAddress,
+    contractName,
+    functionName,
+    functionArgs,
+    publicKey: CALLER_PUBLIC_KEY,
+    network: "mainnet",
+    fee: 0,
+    nonce: nextNonce++,
+  });
+
+  return {
+    txid: `0x${transaction.txid()}`,
+    status,
+    raw_tx: `0x${transaction.serialize()}`,
+  };
+}
+
+export const setPrimaryName = ({ id }, status) =>
+  contractCall("set-primary-name", [Cl.uint(id)], status);
+
+let nextTxid = 1;
+
+// One transaction per print, all from `contract` unless a print is given as
+// `{ print, contract, committed }`.
+export function newBlock(burnBlockHeight, prints) {
+  const events = prints.map((entry, index) => {
+    const {
+      print,
+      contract = BNS_CONTRACT,
+      committed = true,
+    } = "print" in entry ? entry : { print: entry };
+
+    return {
+      txid: `0x${(nextTxid++).toString(16).padStart(64, "0")}`,
+      event_index: index,
+      committed,
+      type: "contract_event",
+      contract_event: {
+        contract_identifier: contract,
+        topic: "print",
+        raw_value: cvToHex(print),
+      },
+    };
+  });
+
+  return {
+    block_height: burnBlockHeight + 1000,
+    burn_block_height: burnBlockHeight,
+    transactions: events.map(({ txid }) => ({ txid, status: "success" })),
+    events,
+  };
+}
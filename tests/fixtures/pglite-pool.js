@@ -0,0 +1,19 @@
+import { PGlite } from "@electric-sql/pglite";
+
+// An in-memory Postgres behind the slice of the `pg` Pool interface the
+// indexer uses. PGlite has a single connection, so `connect` hands it out as
+// the client.
+export async function createTestPool() {
+  const db = await PGlite.create();
+
+  const query = async (text, params) => {
+    const result = await db.query(text, params);
+    return { ...result, rowCount: result.affectedRows ?? result.rows.length };
+  };
+
+  return {
+    query,
+    connect: async () => ({ query, release() {} }),
+    end: () => db.close(),
+  };
+}
@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  computeNamePrice,
+  formatUstxAsStx,
+  isValidNameString,
+  parsePriceBuckets,
+} from "../price-utils.js";
+
+const BUCKETS = [6, 5, 4, 3, 3, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 0];
+
+const namespaceInfo = {
+  price_function_base: "10",
+  price_function_coeff: "1",
+  price_function_buckets: JSON.stringify(BUCKETS),
+  price_function_no_vowel_discount: "4",
+  price_function_nonalpha_discount: "2",
+};
+
+test("prices follow the contract's price function", () => {
+  // 1 * 10 ^ buckets[4] / 1 * 10
+  assert.equal(computeNamePrice("alice", namespaceInfo).price, 10000n);
+  // No vowels: 1 * 10 ^ buckets[2] / 4 * 10
+  assert.equal(computeNamePrice("bcd", namespaceInfo).price, 25000n);
+  // Digits: 1 * 10 ^ buckets[1] / 2 * 10
+  assert.equal(computeNamePrice("a1", namespaceInfo).price, 500000n);
+  // Both discounts apply and the larger wins.
+  assert.equal(computeNamePrice("b1", namespaceInfo).price, 250000n);
+});
+
+test("names longer than 16 characters use the last bucket", () => {
+  const quote = computeNamePrice("a".repeat(30), namespaceInfo);
+
+  assert.equal(quote.breakdown.bucket_index, 15);
+  assert.equal(quote.price, 10n);
+});
+
+test("the discount divides before the final multiplication", () => {
+  const quote = computeNamePrice("bc", {
+    ...namespaceInfo,
+    price_function_base: "3",
+    price_function_buckets: Array(16).fill(1),
+    price_function_no_vowel_discount: "2",
+  });
+
+  assert.equal(quote.price, 10n);
+});
+
+test("namespaces without a complete price function can't be priced", () => {
+  assert.equal(
+    computeNamePrice("alice", {
+      ...namespaceInfo,
+      price_function_buckets: null,
+    }),
+    null
+  );
+  assert.equal(
+    computeNamePrice("alice", { ...namespaceInfo, price_function_base: null }),
+    null
+  );
+  assert.equal(
+    computeNamePrice("b1", {
+      ...namespaceInfo,
+      price_function_no_vowel_discount: "0",
+      price_function_nonalpha_discount: "0",
+    }),
+    null
+  );
+});
+
+test("price buckets parse from arrays, JSON and Postgres literals", () => {
+  const expected = BUCKETS.map(BigInt);
+
+  assert.deepEqual(parsePriceBuckets(BUCKETS), expected);
+  assert.deepEqual(parsePriceBuckets(JSON.stringify(BUCKETS)), expected);
+  assert.deepEqual(parsePriceBuckets(`{${BUCKETS.join(",")}}`), expected);
+  assert.equal(parsePriceBuckets([1, 2, 3]), null);
+  assert.equal(parsePriceBuckets("{a,b}"), null);
+});
+
+test("uSTX amounts format with six decimals", () => {
+  assert.equal(formatUstxAsStx(1234567n), "1.234567");
+  assert.equal(formatUstxAsStx(5n), "0.000005");
+  assert.equal(formatUstxAsStx(0n), "0.000000");
+});
+
+test("name strings are 1-48 lowercase letters, digits, '-' or '_'", () => {
+  assert.equal(isValidNameString("alice_1-b"), true);
+  assert.equal(isValidNameString("a".repeat(48)), true);
+  assert.equal(isValidNameString("a".repeat(49)), false);
+  assert.equal(isValidNameString("Alice"), false);
+  assert.equal(isValidNameString(""), false);
+  assert.equal(isValidNameString("a.b"), false);
+});
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  classifyRarity,
+  getRarityProfiles,
+  isRarityProfile,
+  registerRarityFactor,
+  registerRarityProfile,
+  scoreNameRarity,
+} from "../rarity-engine.js";
+
+const scoreOf = (name, profile) => scoreNameRarity(name, profile).rarity_score;
+
+test("scores stay between 0 and 100 under every profile", () => {
+  for (const profile of getRarityProfiles()) {
+    for (const name of [
+      "a",
+      "1",
+      "999",
+      "aaa",
+      "xn--ls8h",
+      "bitcoin",
+      "x".repeat(40),
+    ]) {
+      const score = scoreOf(name, profile);
+
+      assert.ok(Number.isInteger(score));
+      assert.ok(score >= 0 && score <= 100, `${name} under ${profile}`);
+    }
+  }
+});
+
+test("short pattern names keep distinct scores instead of bottoming out", () => {
+  const scores = ["999", "0000", "aaa", "xn--ls8h"].map((name) =>
+    scoreOf(name)
+  );
+
+  assert.equal(new Set(scores).size, scores.length);
+  assert.ok(scores.every((score) => score > 0));
+});
+
+test("a single character ranks rarer than the same character repeated", () => {
+  assert.ok(scoreOf("a") < scoreOf("aaa"));
+  assert.ok(scoreOf("1") < scoreOf("999"));
+  assert.ok(scoreOf("999") < scoreOf("0000"));
+});
+
+test("points are normalised to the profile's total weight", () => {
+  registerRarityFactor("test_always", () => ({ value: 1, detail: "always" }));
+  registerRarityProfile("test_single", { test_always: 7 });
+  registerRarityProfile("test_half", { test_always: 1, length: 1 });
+  registerRarityProfile("test_half_scaled", { test_always: 30, length: 30 });
+
+  assert.equal(scoreOf("anything", "test_single"), 0);
+  assert.equal(scoreOf("a-very-long-name", "test_half"), 50);
+  assert.equal(scoreOf("abc", "test_half"), scoreOf("abc", "test_half_scaled"));
+});
+
+test("the breakdown explains each factor of the profile", () => {
+  const rarity = scoreNameRarity("999");
+
+  assert.equal(rarity.profile, "default");
+  assert.deepEqual(
+    rarity.breakdown.map((entry) => entry.factor),
+    [
+      "length",
+      "digit_club",
+      "repeated_characters",
+      "palindrome",
+      "dictionary_word",
+      "emoji",
+    ]
+  );
+
+  const digitClub = rarity.breakdown.find(
+    (entry) => entry.factor === "digit_club"
+  );
+  assert.equal(digitClub.value, 1);
+  assert.equal(digitClub.points, digitClub.weight);
+  assert.equal(digitClub.detail, "999 club");
+  assert.equal(
+    rarity.rarity_classification,
+    classifyRarity(rarity.rarity_score)
+  );
+});
+
+test("patterns and palindromes are reported under any profile", () => {
+  assert.equal(scoreNameRarity("1234", "length").has_pattern, true);
+  assert.equal(scoreNameRarity("zzzab", "length").has_pattern, true);
+  assert.equal(scoreNameRarity("level", "length").is_palindrome, true);
+  assert.equal(scoreNameRarity("a", "length").is_palindrome, true);
+
+  const plain = scoreNameRarity("alice", "length");
+  assert.equal(plain.has_pattern, false);
+  assert.equal(plain.is_palindrome, false);
+});
+
+test("classifications follow the score bands", () => {
+  assert.equal(classifyRarity(0), "Ultra Rare");
+  assert.equal(classifyRarity(20), "Ultra Rare");
+  assert.equal(classifyRarity(21), "Rare");
+  assert.equal(classifyRarity(40), "Rare");
+  assert.equal(classifyRarity(60), "Uncommon");
+  assert.equal(classifyRarity(80), "Common");
+  assert.equal(classifyRarity(81), "Very Common");
+  assert.equal(classifyRarity(100), "Very Common");
+});
+
+test("profiles only accept known factors with positive weights", () => {
+  assert.throws(
+    () => registerRarityProfile("test_unknown", { no_such_factor: 10 }),
+    /Unknown rarity factor: no_such_factor/
+  );
+  assert.throws(
+    () => registerRarityProfile("test_zero", { length: 0 }),
+    /Invalid weight for rarity factor: length/
+  );
+  assert.equal(isRarityProfile("test_unknown"), false);
+  assert.equal(isRarityProfile("toString"), false);
+  assert.equal(isRarityProfile("collector"), true);
+});